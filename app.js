@@ -1,9 +1,280 @@
+/**
+ * Registry of the available scoring rules
+ * `strikeCount` returns how many scores are struck at each end for the given
+ * number of judges, `aggregate` turns the remaining scores into the total and
+ * `extraDecimals` defines how many decimal places the total shows in
+ * addition to the configured score precision.
+ * @type {Object<string, {label: string, strikeCount: function(number): number, aggregate: function(number[]): number, extraDecimals: number}>}
+ */
+const SCORING_RULES = {
+    dropMinMax: {
+        label: 'Streichwertung (höchste & niedrigste)',
+        strikeCount: () => 1,
+        aggregate: scores => scores.reduce((sum, score) => sum + score, 0),
+        extraDecimals: 0
+    },
+    dropTwoFromNine: {
+        label: 'Streichwertung (2 & 2 ab 9 Jurys)',
+        strikeCount: judgeCount => (judgeCount >= 9 ? 2 : 1),
+        aggregate: scores => scores.reduce((sum, score) => sum + score, 0),
+        extraDecimals: 0
+    },
+    sum: {
+        label: 'Summe aller Wertungen',
+        strikeCount: () => 0,
+        aggregate: scores => scores.reduce((sum, score) => sum + score, 0),
+        extraDecimals: 0
+    },
+    average: {
+        label: 'Durchschnitt aller Wertungen',
+        strikeCount: () => 0,
+        aggregate: scores => scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        extraDecimals: 1
+    },
+    median: {
+        label: 'Median',
+        strikeCount: judgeCount => Math.floor((judgeCount - 1) / 2),
+        aggregate: scores => scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        extraDecimals: 1
+    },
+    trimmedMean: {
+        label: 'Gestutztes Mittel (ohne höchste & niedrigste)',
+        strikeCount: () => 1,
+        aggregate: scores => scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        extraDecimals: 1
+    }
+};
+
+/** @type {string} Scoring rule used when nothing else is configured */
+const DEFAULT_SCORING_RULE = 'dropMinMax';
+
+/**
+ * Registry of the tie-break strategies
+ * `value` extracts a comparable number from a history entry, the higher
+ * value wins the tie. Without a value (nothing struck, no scores) it is 0,
+ * so two such entries stay tied.
+ * @type {Object<string, {label: string, value: function(Object): number}>}
+ */
+const TIE_BREAKERS = {
+    allScores: {
+        label: 'Summe aller Wertungen (inkl. gestrichener)',
+        value: entry => entry.allScores.reduce((sum, score) => sum + (score ?? 0), 0)
+    },
+    highestStruck: {
+        label: 'Höchste gestrichene Wertung',
+        value: entry => (entry.excludedScores.length > 0 ? Math.max(...entry.excludedScores) : 0)
+    },
+    highestSingle: {
+        label: 'Höchste Einzelwertung',
+        value: entry => Math.max(0, ...entry.allScores.filter(score => score !== null))
+    },
+    mostTopMarks: {
+        label: 'Meiste Höchstwertungen',
+        value: entry => entry.allScores.filter(score => score !== null && score >= (entry.maxScore ?? 10)).length
+    }
+};
+
+/** @type {string[]} Tie-break order used when nothing else is configured */
+const DEFAULT_TIE_BREAKERS = ['allScores', 'highestSingle', 'mostTopMarks', 'highestStruck'];
+
+/**
+ * Default time penalty rule: after the grace period, `points` are deducted
+ * for every started `perSeconds` over time
+ * @type {{enabled: boolean, graceSeconds: number, points: number, perSeconds: number}}
+ */
+const DEFAULT_TIME_PENALTY = { enabled: false, graceSeconds: 10, points: 0.5, perSeconds: 10 };
+
+/** @type {number[]} Allowed step sizes for judge scores */
+const SCORE_STEPS = [0.1, 0.5, 1];
+
+/**
+ * Common score range presets offered in the settings dialog
+ * @type {Object<string, {label: string, minScore: number, maxScore: number, scoreStep: number, precision: number}>}
+ */
+const SCORE_PRESETS = {
+    classic: { label: '1,0 - 10,0 (Zehntel)', minScore: 1, maxScore: 10, scoreStep: 0.1, precision: 1 },
+    zeroToTen: { label: '0 - 10 (halbe Punkte)', minScore: 0, maxScore: 10, scoreStep: 0.5, precision: 1 },
+    oneToFive: { label: '1 - 5 (ganze Punkte)', minScore: 1, maxScore: 5, scoreStep: 1, precision: 0 }
+};
+
+/**
+ * How judges vote in a battle (two poets face each other)
+ * @type {Object<string, {label: string}>}
+ */
+const BATTLE_VOTING = {
+    pick: { label: 'Sieger*in wählen' },
+    scores: { label: 'Punkte für beide' }
+};
+
+/**
+ * What happens when the judges' votes are split evenly in a battle
+ * @type {Object<string, {label: string}>}
+ */
+const BATTLE_TIE_RULES = {
+    draw: { label: 'Unentschieden werten' },
+    chairJudge: { label: 'Erste*r Juror*in entscheidet' },
+    totalPoints: { label: 'Höhere Punktsumme entscheidet (nur bei Punkten)' }
+};
+
+/** @type {{voting: string, tieRule: string}} */
+const DEFAULT_BATTLE = { voting: 'pick', tieRule: 'draw' };
+
+/**
+ * How audience votes are tallied
+ * With ballot rankings every place earns points (Borda count): on a ballot
+ * with n names the first place gets n points, the last place 1 point.
+ * @type {Object<string, {label: string, unit: string}>}
+ */
+const AUDIENCE_METHODS = {
+    count: { label: 'Stimmen zählen (Applaus, Stimmkarten)', unit: 'Stimmen' },
+    ranking: { label: 'Stimmzettel mit Rangfolge (Borda)', unit: 'Punkte' }
+};
+
+/** @type {{method: string}} */
+const DEFAULT_AUDIENCE = { method: 'count' };
+
+/**
+ * Speeds of the staged score reveal
+ * `cardMs` is how long a card takes to appear, `countMs` how long the
+ * total counts up.
+ * @type {Object<string, {label: string, cardMs: number, countMs: number}>}
+ */
+const REVEAL_SPEEDS = {
+    slow: { label: 'Langsam', cardMs: 800, countMs: 3000 },
+    normal: { label: 'Normal', cardMs: 400, countMs: 1500 },
+    fast: { label: 'Schnell', cardMs: 200, countMs: 600 }
+};
+
+/** @type {{enabled: boolean, speed: string}} */
+const DEFAULT_REVEAL = { enabled: false, speed: 'normal' };
+
+/**
+ * Signals the timer can give at the start, at warning points and at the end
+ * `tones` are beeps as [frequency in Hz, duration in ms, pause after in ms],
+ * `sample` is a bundled sound file and `vibrate` a pattern for the
+ * Vibration API. Vibration still works in silent mode.
+ * @type {Object<string, {label: string, tones?: number[][], sample?: string, vibrate?: number[]}>}
+ */
+const TIMER_SIGNALS = {
+    none: { label: 'Kein Signal' },
+    beep: { label: 'Piepton hoch', tones: [[800, 200, 0]] },
+    lowBeep: { label: 'Piepton tief', tones: [[400, 500, 0]] },
+    doubleBeep: { label: 'Zwei Pieptöne', tones: [[800, 150, 100], [800, 150, 0]] },
+    tripleBeep: { label: 'Drei Pieptöne', tones: [[800, 120, 80], [800, 120, 80], [1000, 250, 0]] },
+    gong: { label: 'Gong', sample: 'assets/sounds/gong.wav' },
+    bell: { label: 'Glocke', sample: 'assets/sounds/bell.wav' },
+    vibrate: { label: 'Nur Vibration', vibrate: [200, 100, 200] }
+};
+
+/**
+ * Display states of the timer at a warning point
+ * @type {Object<string, {label: string}>}
+ */
+const TIMER_LEVELS = {
+    warning: { label: 'Gelb' },
+    danger: { label: 'Rot' }
+};
+
+/**
+ * Default timer signals
+ * Warning points are seconds left; the display takes the level of the last
+ * point reached.
+ * @type {{warnings: Array<{seconds: number, level: string, signal: string}>, startSignal: string, finishSignal: string, silent: boolean}}
+ */
+const DEFAULT_TIMER_SIGNALS = {
+    warnings: [
+        { seconds: 60, level: 'warning', signal: 'beep' },
+        { seconds: 30, level: 'danger', signal: 'doubleBeep' }
+    ],
+    startSignal: 'beep',
+    finishSignal: 'lowBeep',
+    silent: false
+};
+
+/**
+ * Names of knockout stages by number of matches
+ * @type {Object<number, string>}
+ */
+const BRACKET_STAGE_NAMES = {
+    1: 'Finale',
+    2: 'Halbfinale',
+    4: 'Viertelfinale',
+    8: 'Achtelfinale',
+    16: 'Sechzehntelfinale'
+};
+
+/**
+ * Default points per placement for league standings
+ * @type {{points: number[], participationPoints: number, aliases: Object<string, string>}}
+ */
+const DEFAULT_LEAGUE = { points: [10, 8, 6, 5, 4, 3, 2, 1], participationPoints: 0, aliases: {} };
+
+/**
+ * Kinds of segments in the run-sheet of an evening
+ * Segments with `usesTimer` run on the performance timer; rounds only record
+ * start and end so the timer stays free for the poets.
+ * @type {Object<string, {label: string, icon: string, usesTimer: boolean}>}
+ */
+const RUN_SHEET_SEGMENTS = {
+    intro: { label: 'Moderation', icon: 'bi-mic', usesTimer: true },
+    round: { label: 'Runde', icon: 'bi-diagram-3', usesTimer: false },
+    featured: { label: 'Featured Artist', icon: 'bi-star', usesTimer: true },
+    break: { label: 'Pause', icon: 'bi-cup-hot', usesTimer: true },
+    draw: { label: 'Auslosung', icon: 'bi-shuffle', usesTimer: true },
+    other: { label: 'Sonstiges', icon: 'bi-three-dots', usesTimer: true }
+};
+
+/** @type {number} Longest time the performance timer accepts, in minutes */
+const MAX_TIMER_MINUTES = 60;
+
+/** @type {number} Largest supported knockout field */
+const MAX_BRACKET_SIZE = 32;
+
+/** @type {string[]} Column headers of the CSV export */
+const CSV_HEADERS = ['Datum', 'Name', 'Runde', 'Mitglieder', 'Gesamtpunktzahl', 'Wertungsregel', 'Zeitstrafe', 'Überziehung (s)', 'Gestrichene Punkte', 'Gewertete Punkte', 'Alle Punkte', 'Gestrichene Jurys', 'Enthaltungen', 'Gegner*in', 'Sieger*in', 'Publikum (%)', 'Beginn', 'Ende', 'Auftrittsdauer (s)', 'Pausen (s)'];
+
+/**
+ * Other column names accepted when importing a CSV file, e.g. from a
+ * spreadsheet kept by hand (keys in lower case)
+ * @type {Object<string, string>}
+ */
+const CSV_IMPORT_ALIASES = {
+    'poet*in': 'Name',
+    'teilnehmer*in': 'Name',
+    'punkte': 'Gesamtpunktzahl',
+    'gesamt': 'Gesamtpunktzahl',
+    'wertungen': 'Alle Punkte'
+};
+
+/** @type {string} BroadcastChannel shared with the presenter window */
+const PRESENTER_CHANNEL = 'poetrySlamPresenter';
+
+/**
+ * Screens of the presenter window and their control buttons
+ * @type {Object<string, {button: string, label: string}>}
+ */
+const PRESENTER_VIEWS = {
+    poet: { button: 'presenterShowPoet', label: 'Auftritt' },
+    result: { button: 'presenterShowResult', label: 'Wertung' },
+    blank: { button: 'presenterBlank', label: 'Leer' }
+};
+
+/**
+ * History views in toggle order
+ * @type {Object<string, {container: string, icon: string, label: string}>}
+ */
+const HISTORY_VIEWS = {
+    list: { container: 'historyList', icon: 'bi-list-ul', label: 'Liste' },
+    table: { container: 'historyTable', icon: 'bi-table', label: 'Tabelle' },
+    ranking: { container: 'historyRanking', icon: 'bi-trophy', label: 'Rangliste' }
+};
+
 /**
  * Poetry Slam Punktesummen-Rechner
  * 
  * A comprehensive scoring calculator for Poetry Slam competitions featuring:
  * - Dynamic judge management (3-15 judges)
- * - Intelligent scoring calculation (drops highest/lowest scores)
+ * - Configurable scoring rules (strike highest/lowest, sum, average, median, ...)
  * - Offline-first PWA architecture
  * - Dark/light mode support
  * - Comprehensive history tracking
@@ -26,6 +297,12 @@ class PoetrySlamCalculator {
         this.maxJudges = 15;
         /** @type {number} Current number of active judges */
         this.currentJudgeCount = 5;
+        /** @type {Array<{name: string, code: string}>} Named jury in seat order */
+        this.jury = [];
+        /** @type {Array<{name: string, code: string}>} Jury being edited in the jury dialog */
+        this.juryDraft = [];
+        /** @type {Set<number>} Seats of judges absent or abstaining in the current performance */
+        this.absentJudges = new Set();
         
         // Data management
         /** @type {Array} History of all calculations */
@@ -34,6 +311,20 @@ class PoetrySlamCalculator {
         this.currentResult = null;
         /** @type {string} Current view mode: 'list' or 'table' */
         this.currentView = 'list';
+        /** @type {Object} Calculation settings of the active event */
+        this.settings = this.getDefaultSettings();
+        /** @type {Array} All events (slams) history entries belong to */
+        this.events = [];
+        /** @type {number|null} ID of the event new results are saved to */
+        this.activeEventId = null;
+        /** @type {Object<string, Object>} League configuration per series name */
+        this.leagues = {};
+        /** @type {string[]} Start order drawn in the open round dialog */
+        this.startOrderDraft = [];
+        /** @type {number|null} Run-sheet segment that currently runs on the timer */
+        this.runSheetTimerSegmentId = null;
+        /** @type {Object|null} File read in the import dialog, waiting for confirmation */
+        this.importDraft = null;
         
         // Auto-save functionality
         /** @type {number|null} Timeout ID for auto-save */
@@ -50,18 +341,36 @@ class PoetrySlamCalculator {
         this.errorLog = [];
         
         // Timer functionality
-        /** @type {number|null} Timer interval ID */
-        this.timerInterval = null;
-        /** @type {number|null} Timer start timestamp */
+        /** @type {number|null} Timeout ID of the next display tick */
+        this.timerTimeout = null;
+        /** @type {boolean} Whether a timer was started and not yet stopped */
+        this.timerActive = false;
+        /** @type {number|null} Wall-clock timestamp when the timer was started */
         this.timerStartTime = null;
-        /** @type {number} Timer duration in milliseconds */
+        /** @type {number|null} Wall-clock timestamp when the timer was stopped */
+        this.timerStopTime = null;
+        /** @type {number} Timer duration in seconds */
         this.timerDuration = 0;
-        /** @type {number} Remaining time in milliseconds */
+        /** @type {number} Remaining time in seconds (negative in overtime) */
         this.timerRemaining = 0;
         /** @type {boolean} Timer pause state */
         this.timerPaused = false;
-        /** @type {number} Timestamp when timer was paused */
-        this.timerPauseTime = 0;
+        /** @type {Array<{start: number, end: number|null}>} Pauses of the current timer */
+        this.timerPauses = [];
+        /** @type {boolean} Whether the configured time has run out */
+        this.timerOvertime = false;
+        /** @type {Set<number>} Warning points (seconds left) already signalled in the current run */
+        this.timerSignalsGiven = new Set();
+        /** @type {AudioContext|null} Shared audio context for the timer beeps */
+        this.audioContext = null;
+        
+        // Presenter window
+        /** @type {BroadcastChannel|null} Channel to the presenter window */
+        this.presenterChannel = null;
+        /** @type {string} Screen shown in the presenter window (key of PRESENTER_VIEWS) */
+        this.presenterView = 'poet';
+        /** @type {number|null} Steps taken in the staged reveal of the current result (null shows everything) */
+        this.revealStep = null;
         
         // Performance optimization
         /** @type {number} Last recorded screen width for resize optimization */
@@ -78,6 +387,10 @@ class PoetrySlamCalculator {
     init() {
         try {
             // Load saved data
+            this.loadSettings();
+            this.loadJury();
+            this.loadEvents();
+            this.loadLeagues();
             this.loadHistory();
             this.loadTheme();
             this.loadViewPreference();
@@ -87,10 +400,15 @@ class PoetrySlamCalculator {
             this.setupDarkMode();
             this.setupErrorHandling();
             this.setupOfflineMonitoring();
+            this.setupPresenterChannel();
             
             // Initialize UI
-            this.generateJudgeInputs();
+            this.updateRoundForm();
+            this.updateRunSheetStatus();
+            this.fillNextPerformer();
             this.updateJudgeCount();
+            this.renderScoringRuleOptions();
+            this.restoreTimerState();
             this.initializeTooltips();
             
             // Setup PWA features
@@ -113,12 +431,69 @@ class PoetrySlamCalculator {
             this.safeAddEventListener('removeJudge', 'click', () => this.removeJudge());
             this.safeAddEventListener('calculateBtn', 'click', () => this.calculateScore());
             this.safeAddEventListener('resetBtn', 'click', () => this.saveAndReset());
+            this.safeAddEventListener('scoringRule', 'change', (e) => this.setScoringRule(e.target.value));
+            this.safeAddEventListener('openSettings', 'click', () => this.showSettings());
+            this.safeAddEventListener('settingsPreset', 'change', (e) => this.applyScorePreset(e.target.value));
+            this.safeAddEventListener('saveSettings', 'click', () => this.saveSettingsForm());
+            this.safeAddEventListener('addTimerWarning', 'click', () => this.addTimerWarningRow());
+            this.safeAddEventListener('eventSelect', 'change', (e) => this.setActiveEvent(Number(e.target.value)));
+            this.safeAddEventListener('openEvent', 'click', () => this.showEventEditor());
+            this.safeAddEventListener('createEvent', 'click', () => this.saveEventForm(true));
+            this.safeAddEventListener('saveEvent', 'click', () => this.saveEventForm(false));
+            this.safeAddEventListener('deleteEvent', 'click', () => this.deleteActiveEvent());
+            this.safeAddEventListener('participantName', 'change', () => this.renderTeamMembers());
+            this.safeAddEventListener('participantName', 'input', () => this.broadcastPresenterState());
+            this.safeAddEventListener('teamMembers', 'change', () => this.broadcastPresenterState());
+            this.safeAddEventListener('opponentName', 'input', () => {
+                this.updateBattleLabels();
+                this.broadcastPresenterState();
+            });
+            this.safeAddEventListener('openPresenter', 'click', () => this.openPresenter('stage'));
+            this.safeAddEventListener('openCountdown', 'click', () => this.openPresenter('countdown'));
+            this.safeAddEventListener('revealNext', 'click', () => this.advanceReveal());
+            Object.entries(PRESENTER_VIEWS).forEach(([view, { button }]) => {
+                this.safeAddEventListener(button, 'click', () => this.setPresenterView(view));
+            });
+            this.safeAddEventListener('roundSelect', 'change', (e) => this.setActiveRound(Number(e.target.value)));
+            this.safeAddEventListener('openRound', 'click', () => this.showRoundEditor());
+            this.safeAddEventListener('advanceRound', 'click', () => this.advanceRound());
+            this.safeAddEventListener('createRound', 'click', () => this.saveRoundForm(true));
+            this.safeAddEventListener('saveRound', 'click', () => this.saveRoundForm(false));
+            this.safeAddEventListener('deleteRound', 'click', () => this.deleteActiveRound());
+            this.safeAddEventListener('openBracket', 'click', () => this.showBracket());
+            this.safeAddEventListener('openLeague', 'click', () => this.showLeague());
+            this.safeAddEventListener('openRunSheet', 'click', () => this.showRunSheet());
+            this.safeAddEventListener('addRunSheetSegment', 'click', () => this.addRunSheetSegment());
+            this.safeAddEventListener('addRoundSegments', 'click', () => this.addRoundSegments());
+            this.safeAddEventListener('runSheetStart', 'change', (e) => this.setRunSheetStart(e.target.value));
+            this.safeAddEventListener('leagueSeries', 'change', () => this.fillLeagueForm());
+            this.safeAddEventListener('saveLeague', 'click', () => this.saveLeagueForm());
+            this.safeAddEventListener('exportLeague', 'click', () => this.exportLeagueCSV());
+            this.safeAddEventListener('createBracket', 'click', () => this.createBracket());
+            this.safeAddEventListener('dissolveBracket', 'click', () => this.dissolveBracket());
+            this.safeAddEventListener('drawStartOrder', 'click', () => this.drawStartOrderForm());
+            this.safeAddEventListener('roundParticipants', 'input', () => this.renderStartOrderPreview());
+            this.safeAddEventListener('roundWarmup', 'input', () => this.renderStartOrderPreview());
+            this.safeAddEventListener('openJury', 'click', () => this.showJuryEditor());
+            this.safeAddEventListener('saveJury', 'click', () => this.saveJuryForm());
+            this.safeAddEventListener('juryRoster', 'click', (e) => this.handleJuryRosterClick(e));
+            this.safeAddEventListener('judgeInputs', 'click', (e) => {
+                const toggle = e.target.closest('.judge-absent-toggle');
+                if (toggle) {
+                    const seat = parseInt(toggle.dataset.judgeId, 10);
+                    this.setJudgeAbsent(seat, !this.absentJudges.has(seat));
+                }
+            });
             
             // History and data management
             this.safeAddEventListener('clearHistory', 'click', () => this.clearHistory());
             this.safeAddEventListener('viewToggle', 'click', () => this.toggleView());
             this.safeAddEventListener('exportCSV', 'click', () => this.exportCSV());
             this.safeAddEventListener('exportJSON', 'click', () => this.exportJSON());
+            this.safeAddEventListener('openImport', 'click', () => this.showImport());
+            this.safeAddEventListener('importFile', 'change', (e) => this.readImportFile(e.target.files[0]));
+            this.safeAddEventListener('importAsEvent', 'change', () => this.renderImportPreview());
+            this.safeAddEventListener('confirmImport', 'click', () => this.importHistory());
             
             // UI controls
             this.safeAddEventListener('toggleTheme', 'click', () => this.toggleTheme());
@@ -129,6 +504,9 @@ class PoetrySlamCalculator {
             this.safeAddEventListener('pauseTimer', 'click', () => this.pauseTimer());
             this.safeAddEventListener('resumeTimer', 'click', () => this.resumeTimer());
             this.safeAddEventListener('stopTimer', 'click', () => this.stopTimer());
+            
+            // Catch up the timer display after the app was in the background
+            document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
 
         } catch (error) {
             this.handleError('Event Listener Setup fehlgeschlagen', error);
@@ -156,11 +534,18 @@ class PoetrySlamCalculator {
                     // Only validate input, don't modify it during typing
                     this.validateInput(e.target);
                     
+                    // A changed score makes the struck-judge markers stale
+                    this.highlightStruckJudges([]);
+                    
                     // Debounce auto-save to prevent excessive processing
                     inputTimeout = setTimeout(() => {
                         this.triggerAutoSave(e.target);
                     }, 500); // Increased debounce time
+                } else if (e.target.classList.contains('battle-input')) {
+                    this.validateInput(e.target);
                 } else if (e.target.id === 'participantName') {
+                    this.updateBattleLabels();
+                    
                     // Debounce auto-save for participant name too
                     inputTimeout = setTimeout(() => {
                         this.triggerAutoSave(e.target);
@@ -237,7 +622,7 @@ class PoetrySlamCalculator {
                 break;
             case 'p':
                 e.preventDefault();
-                if (this.timerInterval) {
+                if (this.timerActive) {
                     this.timerPaused ? this.resumeTimer() : this.pauseTimer();
                 }
                 break;
@@ -263,7 +648,7 @@ class PoetrySlamCalculator {
                 break;
             case 'p':
                 e.preventDefault();
-                if (this.timerInterval) {
+                if (this.timerActive) {
                     this.timerPaused ? this.resumeTimer() : this.pauseTimer();
                 }
                 break;
@@ -271,6 +656,10 @@ class PoetrySlamCalculator {
                 e.preventDefault();
                 this.stopTimer();
                 break;
+            case 'w':
+                e.preventDefault();
+                this.advanceReveal();
+                break;
             case 'h':
                 e.preventDefault();
                 this.showHelp();
@@ -342,962 +731,5926 @@ class PoetrySlamCalculator {
      */
     loadViewPreference() {
         const savedView = localStorage.getItem('viewMode');
-        if (savedView && ['list', 'table'].includes(savedView)) {
+        if (savedView && HISTORY_VIEWS[savedView]) {
             this.currentView = savedView;
         }
         this.updateView();
     }
 
-    // PWA Service Worker Registrierung
-    async registerServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            try {
-                // Service Worker wird automatisch von Vite PWA registriert
-                // Service Worker wird von Vite PWA Plugin verwaltet
-                
-                // Force cache refresh on app load
-                this.forceCacheRefresh();
-                
-                // Listen for service worker updates
-                navigator.serviceWorker.addEventListener('controllerchange', () => {
-                    // Service Worker updated, triggering reload
-                    window.location.reload();
-                });
+    /**
+     * Default calculation settings for a new event
+     * @returns {Object} Fresh settings object
+     */
+    getDefaultSettings() {
+        return {
+            scoringRule: DEFAULT_SCORING_RULE,
+            minScore: 1,
+            maxScore: 10,
+            scoreStep: 0.1,
+            precision: 1,
+            tieBreakers: [...DEFAULT_TIE_BREAKERS],
+            timePenalty: { ...DEFAULT_TIME_PENALTY },
+            battle: { ...DEFAULT_BATTLE },
+            audience: { ...DEFAULT_AUDIENCE },
+            reveal: { ...DEFAULT_REVEAL },
+            timerSignals: this.copyTimerSignals(DEFAULT_TIMER_SIGNALS)
+        };
+    }
 
-            } catch (error) {
-                console.error('Service Worker registration failed:', error);
-            }
-        }
+    /**
+     * Deep copy of timer signal settings (the warning points are objects)
+     * @param {Object} timerSignals - Timer signal settings
+     * @returns {Object} Copy
+     */
+    copyTimerSignals(timerSignals) {
+        return { ...timerSignals, warnings: timerSignals.warnings.map(point => ({ ...point })) };
     }
 
-    // Force cache refresh for PWA updates
-    async forceCacheRefresh() {
-        try {
-            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-                // Send message to service worker to skip waiting
-                navigator.serviceWorker.controller.postMessage({ type: 'SKIP_WAITING' });
-                
-                // Clear all caches
-                const cacheNames = await caches.keys();
-                await Promise.all(
-                    cacheNames.map(cacheName => caches.delete(cacheName))
-                );
-                
-                // Cache refresh completed successfully
-            }
-        } catch (error) {
-            console.warn('Cache refresh failed:', error);
+    /**
+     * Merge stored settings with the defaults and repair invalid values
+     * @param {Object} [raw] - Stored settings
+     * @returns {Object} Complete, valid settings
+     */
+    normalizeSettings(raw = {}) {
+        const settings = {
+            ...this.getDefaultSettings(),
+            ...raw,
+            timePenalty: { ...DEFAULT_TIME_PENALTY, ...raw.timePenalty },
+            battle: { ...DEFAULT_BATTLE, ...raw.battle },
+            audience: { ...DEFAULT_AUDIENCE, ...raw.audience },
+            reveal: { ...DEFAULT_REVEAL, ...raw.reveal },
+            timerSignals: { ...this.copyTimerSignals(DEFAULT_TIMER_SIGNALS), ...raw.timerSignals }
+        };
+
+        if (!SCORING_RULES[settings.scoringRule]) {
+            settings.scoringRule = DEFAULT_SCORING_RULE;
+        }
+        if (!Array.isArray(settings.tieBreakers)) {
+            settings.tieBreakers = [...DEFAULT_TIE_BREAKERS];
+        }
+        settings.tieBreakers = settings.tieBreakers.filter(id => TIE_BREAKERS[id]);
+        if (this.validateScoreSettings(settings)) {
+            const { minScore, maxScore, scoreStep, precision } = SCORE_PRESETS.classic;
+            Object.assign(settings, { minScore, maxScore, scoreStep, precision });
+        }
+        if (this.validateTimePenalty(settings.timePenalty)) {
+            settings.timePenalty = { ...DEFAULT_TIME_PENALTY };
+        }
+        if (!BATTLE_VOTING[settings.battle.voting] || !BATTLE_TIE_RULES[settings.battle.tieRule]) {
+            settings.battle = { ...DEFAULT_BATTLE };
+        }
+        if (!AUDIENCE_METHODS[settings.audience.method]) {
+            settings.audience = { ...DEFAULT_AUDIENCE };
+        }
+        if (!REVEAL_SPEEDS[settings.reveal.speed]) {
+            settings.reveal = { ...DEFAULT_REVEAL };
+        }
+        if (this.validateTimerSignals(settings.timerSignals)) {
+            settings.timerSignals = this.copyTimerSignals(DEFAULT_TIMER_SIGNALS);
         }
+        return settings;
     }
 
-    // Manual refresh function for users
-    async forceRefresh() {
+    /**
+     * Load saved calculation settings from localStorage
+     * Unknown or missing values fall back to the defaults
+     */
+    loadSettings() {
         try {
-            this.showNotification('Aktualisiere App...', 'info');
-            
-            // Clear all caches
-            const cacheNames = await caches.keys();
-            await Promise.all(
-                cacheNames.map(cacheName => caches.delete(cacheName))
-            );
-            
-            // Force service worker update
-            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-                navigator.serviceWorker.controller.postMessage({ type: 'SKIP_WAITING' });
-            }
-            
-            // Reload the page
-            setTimeout(() => {
-                window.location.reload(true);
-            }, 1000);
-            
+            const saved = localStorage.getItem('poetrySlamSettings');
+            this.settings = this.normalizeSettings(saved ? JSON.parse(saved) : {});
         } catch (error) {
-            console.error('Force refresh failed:', error);
-            this.showNotification('Aktualisierung fehlgeschlagen', 'error');
+            this.handleError('Fehler beim Laden der Einstellungen', error);
+            this.settings = this.getDefaultSettings();
         }
     }
 
-    // Update-Benachrichtigung anzeigen
-    showUpdateNotification() {
-        const updateToast = document.createElement('div');
-        updateToast.className = 'toast align-items-center text-white bg-primary border-0 position-fixed top-0 end-0 m-3';
-        updateToast.style.zIndex = '9999';
-        updateToast.innerHTML = `
-            <div class="d-flex">
-                <div class="toast-body">
-                    <i class="bi bi-arrow-clockwise me-2"></i>
-                    Neue Version verfügbar! Seite wird aktualisiert...
-                </div>
-                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
-            </div>
-        `;
-        document.body.appendChild(updateToast);
-        
-        const toast = new bootstrap.Toast(updateToast);
-        toast.show();
-        
-        setTimeout(() => {
-            toast.hide();
-            document.body.removeChild(updateToast);
-        }, 3000);
-    }
+    /**
+     * Check score range settings for consistency
+     * @param {Object} settings - Settings with minScore, maxScore, scoreStep and precision
+     * @returns {string|null} Error message or null if the settings are valid
+     */
+    validateScoreSettings(settings) {
+        const { minScore, maxScore, scoreStep, precision } = settings;
 
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-bs-theme', theme);
-        localStorage.setItem('theme', theme);
-        
-        // Update theme icon
-        const themeIcon = document.getElementById('themeIcon');
-        if (themeIcon) {
-            themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
+        if (![minScore, maxScore, scoreStep, precision].every(value => typeof value === 'number' && !isNaN(value))) {
+            return 'Ungültige Zahlenwerte';
         }
-        
-        // Update status bar colors for iOS
-        this.updateStatusBarColors(theme);
+        if (minScore < 0 || maxScore > 100 || minScore >= maxScore) {
+            return 'Der Bereich muss zwischen 0 und 100 liegen und Minimum < Maximum sein';
+        }
+        if (!SCORE_STEPS.includes(scoreStep)) {
+            return 'Ungültige Schrittweite';
+        }
+        if (!this.isOnStep(maxScore - minScore, scoreStep)) {
+            return 'Der Bereich muss ein Vielfaches der Schrittweite sein';
+        }
+        if (precision < this.countDecimals(scoreStep) || precision > 2) {
+            return 'Die Anzeige-Genauigkeit muss zur Schrittweite passen (max. 2 Stellen)';
+        }
+        return null;
     }
 
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
-    }
+    /**
+     * Check a time penalty rule for consistency
+     * @param {Object} penalty - Penalty rule with graceSeconds, points and perSeconds
+     * @returns {string|null} Error message or null if the rule is valid
+     */
+    validateTimePenalty(penalty) {
+        const { graceSeconds, points, perSeconds } = penalty;
 
-    updateStatusBarColors(theme) {
-        const themeColorMeta = document.getElementById('themeColor');
-        const statusBarStyleMeta = document.getElementById('statusBarStyle');
-        
-        if (themeColorMeta && statusBarStyleMeta) {
-            if (theme === 'dark') {
-                // Dark theme: dark background, light text
-                themeColorMeta.setAttribute('content', '#0d1117');
-                statusBarStyleMeta.setAttribute('content', 'black-translucent');
-            } else {
-                // Light theme: light background, dark text
-                themeColorMeta.setAttribute('content', '#ffffff');
-                statusBarStyleMeta.setAttribute('content', 'default');
-            }
+        if (![graceSeconds, points, perSeconds].every(value => typeof value === 'number' && !isNaN(value))) {
+            return 'Ungültige Werte für die Zeitstrafe';
         }
+        if (graceSeconds < 0 || points <= 0 || perSeconds < 1) {
+            return 'Zeitstrafe: Kulanz ≥ 0 s, Abzug > 0 und Intervall ≥ 1 s';
+        }
+        return null;
     }
 
-    toggleView() {
-        this.currentView = this.currentView === 'list' ? 'table' : 'list';
-        localStorage.setItem('viewMode', this.currentView);
-        this.updateView();
-        this.displayHistory();
-    }
+    /**
+     * Validate timer signal settings
+     * @param {Object} timerSignals - Timer signal settings to check
+     * @returns {string|null} Error message or null if valid
+     */
+    validateTimerSignals(timerSignals) {
+        const { warnings, startSignal, finishSignal } = timerSignals;
 
-    updateView() {
-        const viewIcon = document.getElementById('viewIcon');
-        const historyList = document.getElementById('historyList');
-        const historyTable = document.getElementById('historyTable');
-        
-        if (viewIcon) {
-            viewIcon.className = this.currentView === 'list' ? 'bi bi-table' : 'bi bi-list-ul';
+        if (!Array.isArray(warnings) || !TIMER_SIGNALS[startSignal] || !TIMER_SIGNALS[finishSignal]) {
+            return 'Ungültige Timer-Signale';
         }
-        
-        if (historyList && historyTable) {
-            if (this.currentView === 'list') {
-                historyList.style.display = 'block';
-                historyTable.style.display = 'none';
-            } else {
-                historyList.style.display = 'none';
-                historyTable.style.display = 'block';
-            }
+        if (warnings.some(point => !Number.isInteger(point.seconds) || point.seconds < 1 || !TIMER_LEVELS[point.level] || !TIMER_SIGNALS[point.signal])) {
+            return 'Warnpunkte: ganze Sekunden ≥ 1 mit gültiger Farbe und gültigem Signal';
         }
+        if (new Set(warnings.map(point => point.seconds)).size !== warnings.length) {
+            return 'Jeder Warnpunkt darf nur einmal vorkommen';
+        }
+        return null;
     }
 
-    // Auto-Save Funktionen
-    triggerAutoSave(input) {
-        // Clear existing timeout
-        if (this.autoSaveTimeout) {
-            clearTimeout(this.autoSaveTimeout);
+    /**
+     * Open the settings dialog with the current values
+     */
+    showSettings() {
+        try {
+            const presetSelect = document.getElementById('settingsPreset');
+            presetSelect.innerHTML = '<option value="">Eigene Einstellung</option>' + Object.entries(SCORE_PRESETS)
+                .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+                .join('');
+            presetSelect.value = '';
+
+            this.fillSettingsForm(this.settings);
+            this.renderTieBreakerSettings();
+            this.fillTimePenaltyForm(this.settings.timePenalty);
+            this.fillBattleForm(this.settings.battle);
+            this.fillAudienceForm(this.settings.audience);
+            this.fillRevealForm(this.settings.reveal);
+            this.fillTimerSignalsForm(this.settings.timerSignals);
+
+            const settingsModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('settingsModal'));
+            settingsModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen der Einstellungen', error);
         }
+    }
 
-        // Show saving indicator
-        this.showAutoSaveIndicator(input, 'saving');
+    /**
+     * Write score settings into the settings form
+     * @param {Object} settings - Settings to display
+     */
+    fillSettingsForm(settings) {
+        document.getElementById('settingsMinScore').value = settings.minScore;
+        document.getElementById('settingsMaxScore').value = settings.maxScore;
+        document.getElementById('settingsScoreStep').value = String(settings.scoreStep);
+        document.getElementById('settingsPrecision').value = String(settings.precision);
+    }
 
-        // Set new timeout
-        this.autoSaveTimeout = setTimeout(() => {
-            this.performAutoSave(input);
-        }, this.autoSaveDelay);
+    /**
+     * Write the time penalty rule into the settings form
+     * @param {Object} penalty - Penalty rule to display
+     */
+    fillTimePenaltyForm(penalty) {
+        document.getElementById('settingsPenaltyEnabled').checked = penalty.enabled;
+        document.getElementById('settingsPenaltyGrace').value = penalty.graceSeconds;
+        document.getElementById('settingsPenaltyPoints').value = penalty.points;
+        document.getElementById('settingsPenaltyPer').value = penalty.perSeconds;
     }
 
-    // Offline-Status überwachen
-    setupOfflineMonitoring() {
-        window.addEventListener('online', () => {
-    
-            this.syncOfflineData();
+    /**
+     * Render one select per tie-break position in the settings dialog
+     */
+    renderTieBreakerSettings() {
+        const container = document.getElementById('settingsTieBreakers');
+        if (!container) {
+            return;
+        }
+
+        const options = Object.entries(TIE_BREAKERS)
+            .map(([id, tieBreaker]) => `<option value="${id}">${tieBreaker.label}</option>`)
+            .join('');
+
+        container.innerHTML = Object.keys(TIE_BREAKERS).map((_, index) => `
+            <div class="input-group input-group-sm mb-1">
+                <span class="input-group-text">${index + 1}.</span>
+                <select class="form-select form-select-sm tie-breaker-select">
+                    <option value="">—</option>
+                    ${options}
+                </select>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.tie-breaker-select').forEach((select, index) => {
+            select.value = this.settings.tieBreakers[index] || '';
         });
+    }
 
-        window.addEventListener('offline', () => {
-            this.showNotification('Offline-Modus aktiv', 'warning');
+    /**
+     * Read the tie-break order from the settings dialog
+     * Empty and duplicate positions are skipped
+     * @returns {string[]} Ordered tie-breaker IDs
+     */
+    readTieBreakerSettings() {
+        const selected = [...document.querySelectorAll('#settingsTieBreakers .tie-breaker-select')]
+            .map(select => select.value)
+            .filter(id => TIE_BREAKERS[id]);
+        return [...new Set(selected)];
+    }
+
+    /**
+     * Fill the settings form from a preset
+     * @param {string} presetId - ID of a preset in SCORE_PRESETS
+     */
+    applyScorePreset(presetId) {
+        if (SCORE_PRESETS[presetId]) {
+            this.fillSettingsForm(SCORE_PRESETS[presetId]);
+        }
+    }
+
+    /**
+     * Fill the battle section of the settings dialog
+     * @param {{voting: string, tieRule: string}} battle - Battle settings
+     */
+    fillBattleForm(battle) {
+        const renderOptions = (registry) => Object.entries(registry)
+            .map(([id, option]) => `<option value="${id}">${option.label}</option>`)
+            .join('');
+
+        const voting = document.getElementById('settingsBattleVoting');
+        voting.innerHTML = renderOptions(BATTLE_VOTING);
+        voting.value = battle.voting;
+
+        const tieRule = document.getElementById('settingsBattleTieRule');
+        tieRule.innerHTML = renderOptions(BATTLE_TIE_RULES);
+        tieRule.value = battle.tieRule;
+    }
+
+    /**
+     * Fill the audience vote section of the settings dialog
+     * @param {{method: string}} audience - Audience vote settings
+     */
+    fillAudienceForm(audience) {
+        const method = document.getElementById('settingsAudienceMethod');
+        method.innerHTML = Object.entries(AUDIENCE_METHODS)
+            .map(([id, option]) => `<option value="${id}">${option.label}</option>`)
+            .join('');
+        method.value = audience.method;
+    }
+
+    /**
+     * Fill the score reveal section of the settings dialog
+     * @param {{enabled: boolean, speed: string}} reveal - Reveal settings
+     */
+    fillRevealForm(reveal) {
+        document.getElementById('settingsRevealEnabled').checked = reveal.enabled;
+        const speed = document.getElementById('settingsRevealSpeed');
+        speed.innerHTML = Object.entries(REVEAL_SPEEDS)
+            .map(([id, option]) => `<option value="${id}">${option.label}</option>`)
+            .join('');
+        speed.value = reveal.speed;
+    }
+
+    /**
+     * Options of a signal select
+     * @returns {string} HTML
+     */
+    renderTimerSignalOptions() {
+        return Object.entries(TIMER_SIGNALS)
+            .map(([id, signal]) => `<option value="${id}">${signal.label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Fill the timer signal section of the settings dialog
+     * @param {Object} timerSignals - Timer signal settings
+     */
+    fillTimerSignalsForm(timerSignals) {
+        const startSignal = document.getElementById('settingsTimerStartSignal');
+        startSignal.innerHTML = this.renderTimerSignalOptions();
+        startSignal.value = timerSignals.startSignal;
+
+        const finishSignal = document.getElementById('settingsTimerFinishSignal');
+        finishSignal.innerHTML = this.renderTimerSignalOptions();
+        finishSignal.value = timerSignals.finishSignal;
+
+        document.getElementById('settingsTimerSilent').checked = timerSignals.silent;
+        document.getElementById('settingsTimerWarnings').innerHTML = '';
+        timerSignals.warnings.forEach(point => this.addTimerWarningRow(point));
+    }
+
+    /**
+     * Add a warning point row to the settings dialog
+     * @param {{seconds: number, level: string, signal: string}} [point] - Values of the row
+     */
+    addTimerWarningRow(point = { seconds: 10, level: 'danger', signal: 'tripleBeep' }) {
+        const container = document.getElementById('settingsTimerWarnings');
+        const row = document.createElement('div');
+        row.className = 'input-group input-group-sm mb-1 timer-warning-row';
+        row.innerHTML = `
+            <span class="input-group-text">noch</span>
+            <input type="number" class="form-control timer-warning-seconds" min="1" step="1" value="${point.seconds}" aria-label="Sekunden übrig">
+            <span class="input-group-text">s</span>
+            <select class="form-select timer-warning-level" aria-label="Farbe">
+                ${Object.entries(TIMER_LEVELS).map(([id, level]) => `<option value="${id}">${level.label}</option>`).join('')}
+            </select>
+            <select class="form-select timer-warning-signal" aria-label="Signal">${this.renderTimerSignalOptions()}</select>
+            <button type="button" class="btn btn-outline-secondary timer-warning-test" title="Signal anhören"><i class="bi bi-volume-up"></i></button>
+            <button type="button" class="btn btn-outline-danger timer-warning-remove" title="Warnpunkt entfernen"><i class="bi bi-x-lg"></i></button>
+        `;
+        row.querySelector('.timer-warning-level').value = point.level;
+        row.querySelector('.timer-warning-signal').value = point.signal;
+        row.querySelector('.timer-warning-test').addEventListener('click', () => {
+            this.playTimerSignal(row.querySelector('.timer-warning-signal').value, true);
         });
+        row.querySelector('.timer-warning-remove').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
 
-        // Initial check
-        if (!navigator.onLine) {
-            this.showNotification('Offline-Modus aktiv', 'warning');
+    /**
+     * Read the warning points from the settings dialog
+     * @returns {Array<{seconds: number, level: string, signal: string}>} Warning points, most seconds first
+     */
+    readTimerWarningSettings() {
+        return [...document.querySelectorAll('#settingsTimerWarnings .timer-warning-row')]
+            .map(row => ({
+                seconds: Number(row.querySelector('.timer-warning-seconds').value),
+                level: row.querySelector('.timer-warning-level').value,
+                signal: row.querySelector('.timer-warning-signal').value
+            }))
+            .sort((a, b) => b.seconds - a.seconds);
+    }
+
+    /**
+     * Validate and store the values from the settings form
+     */
+    saveSettingsForm() {
+        const scoreSettings = {
+            minScore: parseFloat(document.getElementById('settingsMinScore').value.replace(',', '.')),
+            maxScore: parseFloat(document.getElementById('settingsMaxScore').value.replace(',', '.')),
+            scoreStep: parseFloat(document.getElementById('settingsScoreStep').value),
+            precision: parseInt(document.getElementById('settingsPrecision').value, 10)
+        };
+
+        const timePenalty = {
+            enabled: document.getElementById('settingsPenaltyEnabled').checked,
+            graceSeconds: parseInt(document.getElementById('settingsPenaltyGrace').value, 10),
+            points: parseFloat(document.getElementById('settingsPenaltyPoints').value.replace(',', '.')),
+            perSeconds: parseInt(document.getElementById('settingsPenaltyPer').value, 10)
+        };
+
+        const timerSignals = {
+            warnings: this.readTimerWarningSettings(),
+            startSignal: document.getElementById('settingsTimerStartSignal').value,
+            finishSignal: document.getElementById('settingsTimerFinishSignal').value,
+            silent: document.getElementById('settingsTimerSilent').checked
+        };
+
+        const error = this.validateScoreSettings(scoreSettings) || this.validateTimePenalty(timePenalty) || this.validateTimerSignals(timerSignals);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+
+        const battle = {
+            voting: document.getElementById('settingsBattleVoting').value,
+            tieRule: document.getElementById('settingsBattleTieRule').value
+        };
+
+        const audience = {
+            method: document.getElementById('settingsAudienceMethod').value
+        };
+
+        const reveal = {
+            enabled: document.getElementById('settingsRevealEnabled').checked,
+            speed: document.getElementById('settingsRevealSpeed').value
+        };
+
+        this.settings = { ...this.settings, ...scoreSettings, tieBreakers: this.readTieBreakerSettings(), timePenalty, battle, audience, reveal, timerSignals };
+        this.saveSettings();
+        this.displayHistory();
+
+        // Placeholder und Validierung an den neuen Bereich anpassen
+        this.currentResult = null;
+        document.getElementById('resultCard').style.display = 'none';
+        this.generateJudgeInputs();
+
+        bootstrap.Modal.getInstance(document.getElementById('settingsModal'))?.hide();
+        this.showNotification(`Wertungsbereich: ${this.getScoreRangeLabel()}`, 'success');
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem('poetrySlamSettings', JSON.stringify(this.settings));
+        } catch (error) {
+            this.handleError('Fehler beim Speichern der Einstellungen', error);
+        }
+
+        // Die Regeln gehören zur aktiven Veranstaltung
+        const event = this.getActiveEvent();
+        if (event) {
+            event.settings = JSON.parse(JSON.stringify(this.settings));
+            this.saveEvents();
+        }
+    }
+
+    /**
+     * Load all events and the active event ID from localStorage
+     */
+    loadEvents() {
+        try {
+            const saved = localStorage.getItem('poetrySlamEvents');
+            if (saved) {
+                this.events = JSON.parse(saved);
+            }
+            const activeId = localStorage.getItem('poetrySlamActiveEvent');
+            if (activeId) {
+                this.activeEventId = Number(activeId);
+            }
+        } catch (error) {
+            this.handleError('Fehler beim Laden der Veranstaltungen', error);
+            this.events = [];
+        }
+    }
+
+    saveEvents() {
+        try {
+            localStorage.setItem('poetrySlamEvents', JSON.stringify(this.events));
+            localStorage.setItem('poetrySlamActiveEvent', String(this.activeEventId));
+        } catch (error) {
+            this.handleError('Fehler beim Speichern der Veranstaltungen', error);
+        }
+    }
+
+    /**
+     * Load the league configurations from localStorage
+     */
+    loadLeagues() {
+        try {
+            const saved = localStorage.getItem('poetrySlamLeagues');
+            if (saved) {
+                this.leagues = JSON.parse(saved);
+            }
+        } catch (error) {
+            this.handleError('Fehler beim Laden der Ligen', error);
+            this.leagues = {};
+        }
+    }
+
+    saveLeagues() {
+        try {
+            localStorage.setItem('poetrySlamLeagues', JSON.stringify(this.leagues));
+        } catch (error) {
+            this.handleError('Fehler beim Speichern der Ligen', error);
+        }
+    }
+
+    /**
+     * Create a new event with the current settings
+     * @param {Object} data - Event data (name, date, venue, host, series, teamMode, teams)
+     * @returns {Object} The new event
+     */
+    createEvent(data) {
+        const event = {
+            id: Date.now(),
+            name: data.name || 'Neue Veranstaltung',
+            date: data.date || new Date().toISOString().slice(0, 10),
+            venue: data.venue || '',
+            host: data.host || '',
+            series: data.series || '',
+            settings: JSON.parse(JSON.stringify(this.settings)),
+            jury: this.getJuryData(),
+            teamMode: Boolean(data.teamMode),
+            teams: data.teams || [],
+            rounds: [],
+            activeRoundId: null,
+            runSheet: [],
+            runSheetStart: '',
+            createdAt: new Date().toISOString()
+        };
+        this.ensureRounds(event);
+        return event;
+    }
+
+    /**
+     * Create an empty round (IDs count up within the event)
+     * @param {Object} event - Event the round will belong to
+     * @param {string} name - Round name, e.g. "Vorrunde 1"
+     * @param {string[]} [participants] - Line-up of the round
+     * @returns {Object} The new round
+     */
+    createRound(event, name, participants = []) {
+        return {
+            id: Math.max(0, ...(event.rounds || []).map(round => round.id)) + 1,
+            name,
+            participants,
+            startOrder: [],
+            drawSeed: '',
+            warmup: '',
+            mode: 'single',
+            advanceCount: 0,
+            advanceTo: null
+        };
+    }
+
+    /**
+     * Make sure an event has at least one round and a valid active round
+     * @param {Object} event - Event
+     */
+    ensureRounds(event) {
+        if (!Array.isArray(event.rounds) || event.rounds.length === 0) {
+            event.rounds = [this.createRound(event, 'Runde 1')];
+        }
+        if (!event.rounds.some(round => round.id === event.activeRoundId)) {
+            event.activeRoundId = event.rounds[0].id;
+        }
+    }
+
+    /**
+     * Make sure an active event exists and adopt entries saved before events existed
+     */
+    ensureActiveEvent() {
+        if (this.events.length === 0) {
+            this.events.push(this.createEvent({ name: 'Meine Veranstaltung' }));
+        }
+        if (!this.getActiveEvent()) {
+            this.activeEventId = this.events[0].id;
+        }
+
+        this.events.forEach(event => this.ensureRounds(event));
+
+        // Einträge ohne (gültige) Veranstaltung oder Runde übernehmen
+        let adopted = 0;
+        this.history.forEach(entry => {
+            let event = this.events.find(e => e.id === entry.eventId);
+            if (!event) {
+                event = this.getActiveEvent();
+                entry.eventId = event.id;
+                adopted++;
+            }
+            if (!event.rounds.some(round => round.id === entry.roundId)) {
+                entry.roundId = event.rounds[0].id;
+                adopted++;
+            }
+        });
+        if (adopted > 0) {
+            this.saveHistory();
+        }
+
+        const event = this.getActiveEvent();
+        if (event.settings) {
+            this.settings = this.normalizeSettings(event.settings);
+        } else {
+            event.settings = JSON.parse(JSON.stringify(this.settings));
+        }
+        if (event.jury) {
+            this.applyJury(event.jury);
+        } else {
+            event.jury = this.getJuryData();
+        }
+        this.saveEvents();
+    }
+
+    /**
+     * @returns {Object|undefined} The active event
+     */
+    getActiveEvent() {
+        return this.events.find(event => event.id === this.activeEventId);
+    }
+
+    /**
+     * History entries of the active event
+     * @returns {Array} Entries in save order (newest first)
+     */
+    getEventHistory() {
+        return this.history.filter(entry => entry.eventId === this.activeEventId);
+    }
+
+    /**
+     * @returns {Object|undefined} The active round of the active event
+     */
+    getActiveRound() {
+        const event = this.getActiveEvent();
+        return event?.rounds.find(round => round.id === event.activeRoundId);
+    }
+
+    /**
+     * History entries of the active round
+     * @returns {Array} Entries in save order (newest first)
+     */
+    getRoundHistory() {
+        const round = this.getActiveRound();
+        return this.getEventHistory().filter(entry => entry.roundId === round?.id);
+    }
+
+    /**
+     * Name of the round a history entry belongs to
+     * @param {Object} entry - History entry
+     * @returns {string} Round name or empty string
+     */
+    getEntryRoundName(entry) {
+        const event = this.events.find(e => e.id === entry.eventId);
+        return event?.rounds.find(round => round.id === entry.roundId)?.name || '';
+    }
+
+    /**
+     * Human readable event label, e.g. "Slam im Keller (12.03.2025)"
+     * @param {Object} event - Event
+     * @returns {string} Label
+     */
+    getEventLabel(event) {
+        const date = event.date ? new Date(`${event.date}T00:00:00`).toLocaleDateString('de-DE') : '';
+        return date ? `${event.name} (${date})` : event.name;
+    }
+
+    /**
+     * Fill the event switcher in the History card
+     */
+    renderEventSelect() {
+        const select = document.getElementById('eventSelect');
+        if (!select) {
+            return;
+        }
+
+        select.innerHTML = [...this.events]
+            .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.id - a.id)
+            .map(event => `<option value="${event.id}">${this.escapeHtml(this.getEventLabel(event))}</option>`)
+            .join('');
+        select.value = String(this.activeEventId);
+    }
+
+    /**
+     * Switch to another event and apply its rule settings
+     * @param {number} eventId - ID of the event
+     */
+    setActiveEvent(eventId) {
+        const event = this.events.find(e => e.id === eventId);
+        if (!event) {
+            this.showNotification('Veranstaltung nicht gefunden', 'error');
+            return;
+        }
+
+        this.activeEventId = event.id;
+        this.settings = this.normalizeSettings(event.settings);
+        this.saveSettings();
+
+        // Jede Veranstaltung hat ihre eigene Jury
+        if (event.jury) {
+            this.applyJury(event.jury);
+        } else {
+            event.jury = this.getJuryData();
+        }
+        this.absentJudges.clear();
+        this.saveJury();
+        this.updateJudgeCount();
+
+        // Ein angezeigtes Ergebnis gehört noch zur vorherigen Veranstaltung
+        this.currentResult = null;
+        document.getElementById('resultCard').style.display = 'none';
+
+        this.renderScoringRuleOptions();
+        this.renderEventSelect();
+        this.renderRoundSelect();
+        this.displayHistory();
+        this.updateRoundForm();
+        this.renderTeamMembers();
+        this.updateRunSheetStatus();
+        this.broadcastPresenterState();
+    }
+
+    /**
+     * Open the event dialog with the active event
+     */
+    showEventEditor() {
+        try {
+            const event = this.getActiveEvent() || {};
+            document.getElementById('eventName').value = event.name || '';
+            document.getElementById('eventDate').value = event.date || '';
+            document.getElementById('eventVenue').value = event.venue || '';
+            document.getElementById('eventHost').value = event.host || '';
+            document.getElementById('eventSeries').value = event.series || '';
+            document.getElementById('seriesOptions').innerHTML = this.getSeriesNames()
+                .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+                .join('');
+            document.getElementById('eventTeamMode').checked = Boolean(event.teamMode);
+            document.getElementById('eventTeams').value = (event.teams || [])
+                .map(team => team.members.length > 0 ? `${team.name}: ${team.members.join(', ')}` : team.name)
+                .join('\n');
+
+            const eventModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('eventModal'));
+            eventModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen der Veranstaltung', error);
+        }
+    }
+
+    /**
+     * Save the event dialog as a new event or into the active event
+     * @param {boolean} asNew - Create a new event instead of updating the active one
+     */
+    saveEventForm(asNew) {
+        const data = {
+            name: document.getElementById('eventName').value.trim(),
+            date: document.getElementById('eventDate').value,
+            venue: document.getElementById('eventVenue').value.trim(),
+            host: document.getElementById('eventHost').value.trim(),
+            series: document.getElementById('eventSeries').value.trim(),
+            teamMode: document.getElementById('eventTeamMode').checked,
+            teams: this.parseTeams(document.getElementById('eventTeams').value, asNew ? [] : this.getActiveEvent()?.teams)
+        };
+
+        if (!data.name) {
+            this.showNotification('Bitte einen Namen für die Veranstaltung eingeben', 'warning');
+            return;
+        }
+
+        if (asNew) {
+            const event = this.createEvent(data);
+            this.events.push(event);
+            this.activeEventId = event.id;
+            this.saveEvents();
+            this.setActiveEvent(event.id);
+            this.showNotification(`Veranstaltung "${event.name}" angelegt`, 'success');
+        } else {
+            Object.assign(this.getActiveEvent(), data);
+            this.saveEvents();
+            this.renderEventSelect();
+            this.displayHistory();
+            this.renderTeamMembers();
+            this.showNotification('Veranstaltung gespeichert', 'success');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('eventModal'))?.hide();
+    }
+
+    /**
+     * Parse the team list of the event dialog
+     * One team per line, members after a colon: "Team Name: Anna, Ben"
+     * Teams keep their ID when the name stays the same.
+     * @param {string} text - Text of the team field
+     * @param {Object[]} [existing] - Teams saved so far
+     * @returns {Array<{id: number, name: string, members: string[]}>} Teams
+     */
+    parseTeams(text, existing = []) {
+        let nextId = Math.max(0, ...existing.map(team => team.id)) + 1;
+        const teams = [];
+
+        text.split('\n').forEach(line => {
+            const [rawName, ...rest] = line.split(':');
+            const name = rawName.trim();
+            if (!name || teams.some(team => team.name === name)) {
+                return;
+            }
+
+            const members = [...new Set(rest.join(':').split(',').map(member => member.trim()).filter(Boolean))];
+            const id = existing.find(team => team.name === name)?.id ?? nextId++;
+            teams.push({ id, name, members });
+        });
+
+        return teams;
+    }
+
+    /**
+     * @param {Object} [event] - Event (defaults to the active event)
+     * @returns {boolean} Whether the event scores teams instead of individuals
+     */
+    isTeamMode(event = this.getActiveEvent()) {
+        return Boolean(event?.teamMode);
+    }
+
+    /**
+     * Find a team of the active event by name
+     * @param {string} name - Team name
+     * @returns {Object|undefined} Team
+     */
+    getTeam(name) {
+        return (this.getActiveEvent()?.teams || []).find(team => team.name === name);
+    }
+
+    /**
+     * Show member checkboxes for the team entered in the name field
+     * All members are checked by default, unchecking marks who did not perform.
+     */
+    renderTeamMembers() {
+        const container = document.getElementById('teamMembers');
+        const participantInput = document.getElementById('participantName');
+        if (!container || !participantInput) {
+            return;
+        }
+
+        const team = this.isTeamMode() ? this.getTeam(participantInput.value.trim()) : null;
+        participantInput.placeholder = this.isTeamMode() ? 'Team eingeben...' : 'Name eingeben...';
+
+        if (!team || team.members.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = team.members.map((member, index) => `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input team-member" type="checkbox" id="teamMember${index}" value="${this.escapeHtml(member)}" checked>
+                <label class="form-check-label small" for="teamMember${index}">${this.escapeHtml(member)}</label>
+            </div>
+        `).join('');
+        container.style.display = 'block';
+    }
+
+    /**
+     * Members checked in the team member checkboxes
+     * @returns {string[]} Performing members
+     */
+    getPerformingMembers() {
+        return [...document.querySelectorAll('#teamMembers .team-member:checked')].map(input => input.value);
+    }
+
+    /**
+     * Combine the performances of each team into one ranking entry
+     * Totals are added up, the score lists are concatenated so the
+     * tie-breakers compare all pieces of a team.
+     * @param {Object[]} entries - History entries
+     * @returns {Object[]} One entry per team (in order of first appearance)
+     */
+    aggregateTeamEntries(entries) {
+        const teams = new Map();
+
+        entries.forEach(entry => {
+            const key = entry.participantName;
+            if (!teams.has(key)) {
+                teams.set(key, {
+                    id: `team:${key}`,
+                    participantName: key,
+                    teamId: entry.teamId ?? null,
+                    scoringRule: entry.scoringRule,
+                    precision: entry.precision,
+                    maxScore: entry.maxScore,
+                    totalScore: 0,
+                    timePenalty: 0,
+                    allScores: [],
+                    excludedScores: [],
+                    includedScores: [],
+                    members: [],
+                    entries: []
+                });
+            }
+
+            const team = teams.get(key);
+            team.totalScore += entry.totalScore;
+            team.timePenalty += entry.timePenalty || 0;
+            team.allScores.push(...(entry.allScores || []));
+            team.excludedScores.push(...(entry.excludedScores || []));
+            team.includedScores.push(...(entry.includedScores || []));
+            team.members = [...new Set([...team.members, ...(entry.members || [])])];
+            team.entries.push(entry);
+        });
+
+        return [...teams.values()];
+    }
+
+    /**
+     * One entry per participant, the last performance counts
+     * @param {Object[]} entries - History entries (newest first)
+     * @returns {Object[]} Latest entry of every participant
+     */
+    getLatestEntries(entries) {
+        const seen = new Set();
+        return entries.filter(entry => {
+            if (seen.has(entry.participantName)) {
+                return false;
+            }
+            seen.add(entry.participantName);
+            return true;
+        });
+    }
+
+    /**
+     * Entries that take part in the ranking of an event
+     * Warm-up performances are left out, in team mode teams are combined,
+     * otherwise the last performance of each participant counts.
+     * @param {Object[]} entries - History entries
+     * @param {Object} [event] - Event the entries belong to (defaults to the active event)
+     * @returns {Object[]} Entries to pass to rankEntries()
+     */
+    getRankingEntries(entries, event = this.getActiveEvent()) {
+        const competing = this.getCompetitionEntries(entries);
+        return this.isTeamMode(event) ? this.aggregateTeamEntries(competing) : this.getLatestEntries(competing);
+    }
+
+    /**
+     * Ranking row a history entry belongs to (its own or its team's)
+     * @param {Object[]} rows - Rows from rankEntries()
+     * @param {Object} entry - History entry
+     * @returns {Object|undefined} Ranking row
+     */
+    findRankingRow(rows, entry) {
+        return rows.find(row => row.entry.id === entry.id || row.entry.entries?.includes(entry));
+    }
+
+    /**
+     * Delete the active event together with its results
+     */
+    deleteActiveEvent() {
+        const event = this.getActiveEvent();
+        if (!event) {
+            return;
+        }
+
+        if (this.events.length === 1) {
+            this.showNotification('Die letzte Veranstaltung kann nicht gelöscht werden', 'warning');
+            return;
+        }
+
+        if (!confirm(`Veranstaltung "${event.name}" mit allen Ergebnissen löschen?`)) {
+            return;
+        }
+
+        this.history = this.history.filter(entry => entry.eventId !== event.id);
+        this.events = this.events.filter(e => e.id !== event.id);
+        this.saveHistory();
+        this.saveEvents();
+        this.setActiveEvent(this.events[0].id);
+
+        bootstrap.Modal.getInstance(document.getElementById('eventModal'))?.hide();
+    }
+
+    /**
+     * Fill the round switcher in the History card
+     */
+    renderRoundSelect() {
+        const select = document.getElementById('roundSelect');
+        const event = this.getActiveEvent();
+        if (!select || !event) {
+            return;
+        }
+
+        select.innerHTML = event.rounds
+            .map(round => `<option value="${round.id}">${this.escapeHtml(round.name)}</option>`)
+            .join('');
+        select.value = String(event.activeRoundId);
+    }
+
+    /**
+     * Offer the line-up of the active round as name suggestions
+     * Participants who already have a result in this round are left out.
+     */
+    renderParticipantOptions() {
+        const datalist = document.getElementById('participantOptions');
+        const round = this.getActiveRound();
+        if (!datalist || !round) {
+            return;
+        }
+
+        // Teams können mehrere Texte vortragen und bleiben deshalb in der Auswahl
+        const done = new Set(this.isTeamMode() ? [] : this.getRoundHistory().map(entry => entry.participantName));
+        const lineUp = this.getStartOrder(round);
+        const names = lineUp.length === 0 && this.isTeamMode()
+            ? this.getActiveEvent().teams.map(team => team.name)
+            : lineUp;
+        datalist.innerHTML = names
+            .filter(name => !done.has(name))
+            .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+            .join('');
+    }
+
+    /**
+     * Seeded pseudo random generator (mulberry32), so a draw can be repeated
+     * @param {string} seed - Any text
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    createSeededRandom(seed) {
+        let state = 0;
+        for (const char of String(seed)) {
+            state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Draw a start order (Fisher-Yates shuffle with a seeded generator)
+     * @param {string[]} names - Participants
+     * @param {string} seed - Seed of the draw
+     * @returns {string[]} Shuffled copy
+     */
+    drawStartOrder(names, seed) {
+        const random = this.createSeededRandom(seed);
+        const order = [...names];
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order;
+    }
+
+    /**
+     * Line-up of a round in performance order
+     * The warm-up slot ("Opferlamm") always comes first, participants that
+     * were added after the draw follow at the end.
+     * @param {Object} round - Round
+     * @returns {string[]} Names in start order
+     */
+    getStartOrder(round) {
+        const drawn = (round.startOrder || []).filter(name => round.participants.includes(name));
+        const undrawn = round.participants.filter(name => !drawn.includes(name));
+        const order = [...drawn, ...undrawn].filter(name => name !== round.warmup);
+        return round.warmup ? [round.warmup, ...order] : order;
+    }
+
+    /**
+     * Participants of the active round's line-up without a result yet
+     * @returns {string[]} Names in start order
+     */
+    getOpenPerformers() {
+        const round = this.getActiveRound();
+        if (!round) {
+            return [];
+        }
+
+        const done = new Set(this.getRoundHistory().flatMap(entry => [
+            entry.participantName,
+            entry.opponentName,
+            ...(entry.tally || []).map(row => row.name)
+        ]));
+        return this.getStartOrder(round).filter(name => !done.has(name));
+    }
+
+    /**
+     * Put the next participant of the line-up into the name field
+     * @param {boolean} [force=false] - Overwrite a name that was already entered
+     */
+    fillNextPerformer(force = false) {
+        const input = document.getElementById('participantName');
+        if (!input) {
+            return;
+        }
+
+        const [next, opponent] = this.getOpenPerformers();
+        if (force || !input.value.trim()) {
+            input.value = next || '';
+        }
+
+        // Im Battle treten die nächsten beiden gegeneinander an
+        const opponentInput = document.getElementById('opponentName');
+        if (opponentInput && this.isBattleRound() && (force || !opponentInput.value.trim())) {
+            opponentInput.value = opponent || '';
+        }
+        this.renderTeamMembers();
+        this.updateBattleLabels();
+        this.broadcastPresenterState();
+    }
+
+    /**
+     * Remove warm-up performances, they do not take part in the ranking
+     * @param {Object[]} entries - History entries
+     * @returns {Object[]} Competing entries
+     */
+    getCompetitionEntries(entries) {
+        // Battles und Publikumsabstimmungen haben keine Punktzahl für die Rangliste
+        return entries.filter(entry => !entry.warmup && !entry.type);
+    }
+
+    /**
+     * @returns {boolean} Whether the active round is a head-to-head battle round
+     */
+    isBattleRound() {
+        return this.getActiveRound()?.mode === 'battle';
+    }
+
+    /**
+     * Adapt the scoring form to the format of the active round
+     * (opponent field for battles, vote inputs for audience votes)
+     */
+    updateRoundForm() {
+        const opponentField = document.getElementById('battleOpponent');
+        if (opponentField) {
+            opponentField.style.display = this.isBattleRound() ? 'block' : 'none';
+        }
+
+        this.currentResult = null;
+        document.getElementById('resultCard').style.display = 'none';
+        this.generateJudgeInputs();
+    }
+
+    /**
+     * @returns {boolean} Whether the active round is decided by audience vote
+     */
+    isAudienceRound() {
+        return this.getActiveRound()?.mode === 'audience';
+    }
+
+    /**
+     * Participants the audience votes on (line-up without warm-up slot)
+     * @returns {string[]} Names in start order
+     */
+    getAudienceContenders() {
+        const round = this.getActiveRound();
+        if (!round) {
+            return [];
+        }
+        return this.getStartOrder(round).filter(name => name !== round.warmup);
+    }
+
+    /**
+     * Markup of the vote inputs that replace the judge inputs in an audience round
+     * @returns {string} HTML
+     */
+    renderAudienceInputs() {
+        const contenders = this.getAudienceContenders();
+        if (contenders.length < 2) {
+            return `
+                <div class="col-12">
+                    <p class="small text-muted mb-0">
+                        <i class="bi bi-info-circle"></i> Für die Publikumswertung bitte mindestens zwei Teilnehmer*innen in der Runde eintragen.
+                    </p>
+                </div>
+            `;
+        }
+
+        const method = this.settings.audience.method;
+        const places = method === 'ranking' ? contenders.length : 1;
+        const placeInputs = (index) => Array.from({ length: places }, (_, place) => `
+            ${method === 'ranking' ? `<span class="input-group-text input-group-text-sm">${place + 1}.</span>` : ''}
+            <input type="number"
+                   class="form-control form-control-sm audience-input"
+                   min="0"
+                   step="1"
+                   inputmode="numeric"
+                   placeholder="0"
+                   data-index="${index}"
+                   data-place="${place}"
+                   title="${method === 'ranking' ? `Anzahl Stimmzettel mit Platz ${place + 1}` : 'Anzahl Stimmen'}">
+        `).join('');
+
+        return contenders.map((name, index) => `
+            <div class="col-12">
+                <div class="form-group">
+                    <span class="form-label small mb-1 d-block">${this.escapeHtml(name)}</span>
+                    <div class="input-group input-group-sm">
+                        ${placeInputs(index)}
+                        ${method === 'count' ? '<span class="input-group-text input-group-text-sm">Stimmen</span>' : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the vote inputs of an audience round
+     * @returns {number[][]|null} Per contender the counts per place, or null if invalid
+     */
+    getAudienceCounts() {
+        const contenders = this.getAudienceContenders();
+        const counts = contenders.map(() => []);
+
+        for (const input of document.querySelectorAll('.audience-input')) {
+            const value = input.value.trim() === '' ? 0 : Number(input.value);
+            if (!Number.isInteger(value) || value < 0) {
+                input.classList.add('is-invalid');
+                return null;
+            }
+            input.classList.remove('is-invalid');
+            counts[Number(input.dataset.index)][Number(input.dataset.place)] = value;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Tally audience votes
+     * Contenders with the same number of votes share a place.
+     * @param {string[]} names - Contenders
+     * @param {number[][]} counts - Per contender the counts per place
+     * @param {string} method - Key of AUDIENCE_METHODS
+     * @returns {{tally: Array<{name: string, votes: number, percent: number, place: number}>, totalVotes: number, ballots: number}} Tally in ranking order
+     */
+    tallyAudienceVotes(names, counts, method) {
+        const rows = names.map((name, index) => {
+            const placeCounts = counts[index] || [];
+            const votes = method === 'ranking'
+                ? placeCounts.reduce((sum, count, place) => sum + (count || 0) * (names.length - place), 0)
+                : (placeCounts[0] || 0);
+            return { name, votes, placeCounts };
+        });
+
+        const totalVotes = rows.reduce((sum, row) => sum + row.votes, 0);
+        // Jeder Stimmzettel hat genau einen ersten Platz
+        const ballots = rows.reduce((sum, row) => sum + (row.placeCounts[0] || 0), 0);
+
+        const tally = rows
+            .sort((a, b) => b.votes - a.votes)
+            .map(row => ({ ...row, percent: totalVotes > 0 ? row.votes / totalVotes * 100 : 0, place: 0 }));
+        tally.forEach((row, index) => {
+            const previous = tally[index - 1];
+            row.place = previous && previous.votes === row.votes ? previous.place : index + 1;
+        });
+
+        return { tally, totalVotes, ballots };
+    }
+
+    /**
+     * Compute the result of an audience vote
+     */
+    calculateAudienceVote() {
+        const names = this.getAudienceContenders();
+        if (names.length < 2) {
+            this.showNotification('Für die Publikumswertung werden mindestens zwei Teilnehmer*innen benötigt', 'error');
+            return;
+        }
+
+        const counts = this.getAudienceCounts();
+        if (!counts) {
+            this.showNotification('Bitte nur ganze Zahlen ab 0 eingeben', 'error');
+            return;
+        }
+
+        const method = this.settings.audience.method;
+        const { tally, totalVotes, ballots } = this.tallyAudienceVotes(names, counts, method);
+        if (totalVotes === 0) {
+            this.showNotification('Es wurden noch keine Stimmen eingetragen', 'error');
+            return;
+        }
+
+        const winners = tally.filter(row => row.place === 1).map(row => row.name);
+        this.currentResult = {
+            type: 'audience',
+            method,
+            participantName: winners.join(', '),
+            winners,
+            tally,
+            totalVotes,
+            ballots
+        };
+
+        this.displayResult();
+    }
+
+    /**
+     * Winner line of an audience vote
+     * @param {Object} entry - Audience result or history entry
+     * @returns {string} Label, e.g. "Sieg: Anna (42,5 %)"
+     */
+    getAudienceWinnerLabel(entry) {
+        const percent = this.formatScore(entry.tally[0].percent, 1);
+        return entry.winners.length > 1
+            ? `Gleichstand: ${entry.winners.join(', ')} (je ${percent} %)`
+            : `Sieg: ${entry.winners[0]} (${percent} %)`;
+    }
+
+    /**
+     * Tally as bars (result card and history)
+     * @param {Object} entry - Audience result or history entry
+     * @returns {string} HTML
+     */
+    renderAudienceTally(entry) {
+        const unit = AUDIENCE_METHODS[entry.method].unit;
+        return entry.tally.map(row => `
+            <div class="audience-row mb-1">
+                <div class="d-flex justify-content-between small">
+                    <span>${row.place}. ${this.escapeHtml(row.name)}</span>
+                    <span>${row.votes} ${unit} · ${this.formatScore(row.percent, 1)} %</span>
+                </div>
+                <div class="progress" style="height: 6px;">
+                    <div class="progress-bar ${row.place === 1 ? 'bg-success' : 'bg-secondary'}" role="progressbar" style="width: ${row.percent}%"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show the tally of the current audience vote in the result card
+     */
+    displayAudienceResult() {
+        const result = this.currentResult;
+        document.getElementById('totalScore').textContent = `${this.formatScore(result.tally[0].percent, 1)} %`;
+        document.getElementById('resultScoringRule').textContent = `${this.getAudienceWinnerLabel(result)} · ${result.totalVotes} ${AUDIENCE_METHODS[result.method].unit}${result.method === 'ranking' ? ` aus ${result.ballots} Stimmzetteln` : ''}`;
+        document.getElementById('resultTimePenalty').style.display = 'none';
+        document.getElementById('resultAudienceTally').innerHTML = this.renderAudienceTally(result);
+        this.renderReveal();
+
+        const resultCard = document.getElementById('resultCard');
+        resultCard.style.display = 'block';
+        resultCard.classList.add('fade-in');
+        setTimeout(() => {
+            resultCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 300);
+    }
+
+    /**
+     * Participants that advance from an audience round (latest vote counts)
+     * @param {Object[]} entries - History entries of the round
+     * @param {number} count - Number of advancing places
+     * @returns {string[]} Names in ranking order
+     */
+    getAudienceAdvancing(entries, count) {
+        const vote = entries.find(entry => entry.type === 'audience');
+        if (!vote) {
+            return [];
+        }
+        return vote.tally.filter(row => row.place <= count).map(row => row.name);
+    }
+
+    /**
+     * Put the poets' names on the battle vote buttons
+     */
+    updateBattleLabels() {
+        const nameA = document.getElementById('participantName')?.value.trim() || 'A';
+        const nameB = document.getElementById('opponentName')?.value.trim() || 'B';
+        document.querySelectorAll('.battle-name-a').forEach(label => {
+            label.textContent = nameA;
+        });
+        document.querySelectorAll('.battle-name-b').forEach(label => {
+            label.textContent = nameB;
+        });
+    }
+
+    /**
+     * Markup for one judge in a battle round
+     * @param {number} seat - 1-based judge seat
+     * @returns {string} HTML
+     */
+    renderBattleJudge(seat) {
+        const absentToggle = `
+            <button type="button"
+                    class="btn btn-outline-secondary judge-absent-toggle"
+                    data-judge-id="${seat}"
+                    title="Abwesend / Enthaltung">
+                <i class="bi bi-person-x"></i>
+            </button>`;
+
+        if (this.settings.battle.voting === 'scores') {
+            const placeholder = this.getScoreRangeLabel().replace(/ /g, '');
+            const inputMode = this.getScoreDecimals() > 0 ? 'decimal' : 'numeric';
+            const scoreInput = (side) => `
+                <input type="text"
+                       class="form-control form-control-sm battle-input"
+                       id="judge${seat}${side}"
+                       placeholder="${placeholder}"
+                       data-judge-id="${seat}"
+                       data-side="${side}"
+                       inputmode="${inputMode}">`;
+
+            return `
+                <div class="form-group">
+                    <label for="judge${seat}a" class="form-label small mb-1">${this.escapeHtml(this.getJudgeName(seat))}</label>
+                    <div class="input-group input-group-sm">
+                        ${scoreInput('a')}
+                        <span class="input-group-text input-group-text-sm">:</span>
+                        ${scoreInput('b')}
+                        ${absentToggle}
+                    </div>
+                    <div class="invalid-feedback small" id="feedback${seat}"></div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="form-group">
+                <span class="form-label small mb-1 d-block">${this.escapeHtml(this.getJudgeName(seat))}</span>
+                <div class="input-group input-group-sm">
+                    <input type="radio" class="btn-check battle-pick" name="battle${seat}" id="judge${seat}a" value="a" data-judge-id="${seat}" autocomplete="off">
+                    <label class="btn btn-outline-primary flex-fill battle-name-a" for="judge${seat}a">A</label>
+                    <input type="radio" class="btn-check battle-pick" name="battle${seat}" id="judge${seat}b" value="b" data-judge-id="${seat}" autocomplete="off">
+                    <label class="btn btn-outline-primary flex-fill battle-name-b" for="judge${seat}b">B</label>
+                    ${absentToggle}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the battle votes of all judges
+     * @returns {Array<{seat: number, pick: string|null, scores: number[]|null, absent: boolean}>|null} Votes or null if incomplete
+     */
+    getBattleVotes() {
+        const votes = [];
+
+        for (let seat = 1; seat <= this.currentJudgeCount; seat++) {
+            if (this.absentJudges.has(seat)) {
+                votes.push({ seat, pick: null, scores: null, absent: true });
+                continue;
+            }
+
+            if (this.settings.battle.voting === 'scores') {
+                const inputs = ['a', 'b'].map(side => document.getElementById(`judge${seat}${side}`));
+                if (inputs.some(input => !input || !this.validateInput(input))) {
+                    return null;
+                }
+                const scores = inputs.map(input => parseFloat(input.value.trim().replace(',', '.')));
+                const pick = scores[0] === scores[1] ? null : (scores[0] > scores[1] ? 'a' : 'b');
+                votes.push({ seat, pick, scores, absent: false });
+            } else {
+                const checked = document.querySelector(`input[name="battle${seat}"]:checked`);
+                if (!checked) {
+                    return null;
+                }
+                votes.push({ seat, pick: checked.value, scores: null, absent: false });
+            }
+        }
+
+        return votes;
+    }
+
+    /**
+     * Decide a battle by judge majority
+     * An even split is resolved with the configured tie rule.
+     * @param {Array} votes - Votes from getBattleVotes()
+     * @param {{voting: string, tieRule: string}} [battle] - Battle settings
+     * @returns {{votesA: number, votesB: number, abstentions: number, pointsA: number|null, pointsB: number|null, winner: string|null, decidedBy: string}} Decision
+     */
+    decideBattle(votes, battle = this.settings.battle) {
+        const votesA = votes.filter(vote => vote.pick === 'a').length;
+        const votesB = votes.filter(vote => vote.pick === 'b').length;
+        const abstentions = votes.length - votesA - votesB;
+
+        const scored = votes.filter(vote => vote.scores);
+        const pointsA = scored.length > 0 ? scored.reduce((sum, vote) => sum + vote.scores[0], 0) : null;
+        const pointsB = scored.length > 0 ? scored.reduce((sum, vote) => sum + vote.scores[1], 0) : null;
+
+        const decision = { votesA, votesB, abstentions, pointsA, pointsB, winner: null, decidedBy: 'draw' };
+
+        if (votesA !== votesB) {
+            return { ...decision, winner: votesA > votesB ? 'a' : 'b', decidedBy: 'majority' };
+        }
+
+        if (battle.tieRule === 'chairJudge') {
+            const chair = votes.find(vote => !vote.absent);
+            if (chair?.pick) {
+                return { ...decision, winner: chair.pick, decidedBy: 'chairJudge' };
+            }
+        }
+
+        if (battle.tieRule === 'totalPoints' && pointsA !== null && this.compareTotals(pointsA, pointsB) !== 0) {
+            return { ...decision, winner: pointsA > pointsB ? 'a' : 'b', decidedBy: 'totalPoints' };
+        }
+
+        return decision;
+    }
+
+    /**
+     * Compute the result of a battle from the judges' votes
+     */
+    calculateBattle() {
+        const votes = this.getBattleVotes();
+        if (!votes) {
+            this.showNotification('Bitte für alle Juror*innen eine Wertung abgeben', 'error');
+            return;
+        }
+
+        if (votes.filter(vote => !vote.absent).length < this.minJudges) {
+            this.showNotification(`Mindestens ${this.minJudges} Wertungen erforderlich`, 'error');
+            return;
+        }
+
+        const participantName = document.getElementById('participantName')?.value?.trim() || 'A';
+        const opponentName = document.getElementById('opponentName')?.value?.trim() || 'B';
+
+        this.currentResult = {
+            type: 'battle',
+            participantName,
+            opponentName,
+            votes,
+            voting: this.settings.battle.voting,
+            precision: this.settings.precision,
+            judges: this.getJurySeats(votes.length),
+            ...this.decideBattle(votes)
+        };
+
+        this.displayResult();
+    }
+
+    /**
+     * Vote split of a battle, e.g. "3 : 2"
+     * @param {Object} entry - Battle result or history entry
+     * @returns {string} Split
+     */
+    formatBattleSplit(entry) {
+        return `${entry.votesA} : ${entry.votesB}`;
+    }
+
+    /**
+     * Winner of a battle with the way the battle was decided
+     * @param {Object} entry - Battle result or history entry
+     * @returns {string} Label, e.g. "Sieg: Anna (Mehrheit)"
+     */
+    getBattleWinnerLabel(entry) {
+        if (!entry.winner) {
+            return 'Unentschieden';
+        }
+
+        const name = entry.winner === 'a' ? entry.participantName : entry.opponentName;
+        const reason = entry.decidedBy === 'majority' ? 'Mehrheit' : BATTLE_TIE_RULES[entry.decidedBy].label;
+        return `Sieg: ${name} (${reason})`;
+    }
+
+    /**
+     * Name of a battle's winner
+     * @param {Object} entry - Battle history entry
+     * @returns {string|null} Name or null for a draw
+     */
+    getBattleWinnerName(entry) {
+        if (!entry.winner) {
+            return null;
+        }
+        return entry.winner === 'a' ? entry.participantName : entry.opponentName;
+    }
+
+    /**
+     * Show the vote split of the current battle in the result card
+     */
+    displayBattleResult() {
+        const result = this.currentResult;
+        document.getElementById('totalScore').textContent = this.formatBattleSplit(result);
+        document.getElementById('resultScoringRule').textContent = `${result.participantName} vs. ${result.opponentName} · ${this.getBattleWinnerLabel(result)}`;
+        document.getElementById('resultTimePenalty').style.display = 'none';
+
+        const sideName = (pick) => pick === 'a' ? result.participantName : result.opponentName;
+        document.getElementById('resultBattleSplit').innerHTML = result.votes.map((vote, index) => {
+            const judgeName = this.escapeHtml(this.getJudgeName(vote.seat, result.judges));
+            let detail = 'Enthaltung';
+            if (vote.scores) {
+                detail = `${this.formatScore(vote.scores[0], result.precision)} : ${this.formatScore(vote.scores[1], result.precision)}`;
+            } else if (vote.pick) {
+                detail = this.escapeHtml(sideName(vote.pick));
+            }
+            const colorClass = vote.pick === 'a' ? 'bg-primary' : (vote.pick === 'b' ? 'bg-warning text-dark' : 'bg-secondary');
+
+            return `
+                <span class="score-badge ${colorClass}" style="animation-delay: ${index * 0.1}s" title="${judgeName}">
+                    <span class="judge-tag">${this.escapeHtml(this.getJudgeShortLabel(vote.seat, result.judges))}</span>${detail}
+                </span>`;
+        }).join('');
+        this.renderReveal();
+
+        const resultCard = document.getElementById('resultCard');
+        resultCard.style.display = 'block';
+        resultCard.classList.add('fade-in');
+        setTimeout(() => {
+            resultCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 300);
+    }
+
+    /**
+     * Winners of the battles in a round
+     * @param {Object[]} entries - History entries of the round
+     * @returns {string[]} Names of the winners in battle order
+     */
+    getBattleWinners(entries) {
+        return [...entries]
+            .reverse()
+            .filter(entry => entry.type === 'battle' && entry.winner)
+            .map(entry => this.getBattleWinnerName(entry));
+    }
+
+    /**
+     * Switch to another round of the active event
+     * @param {number} roundId - ID of the round
+     */
+    setActiveRound(roundId) {
+        const event = this.getActiveEvent();
+        if (!event || !event.rounds.some(round => round.id === roundId)) {
+            this.showNotification('Runde nicht gefunden', 'error');
+            return;
+        }
+
+        event.activeRoundId = roundId;
+        this.saveEvents();
+
+        this.currentResult = null;
+        document.getElementById('resultCard').style.display = 'none';
+
+        this.renderRoundSelect();
+        this.displayHistory();
+        this.updateRoundForm();
+        this.fillNextPerformer(true);
+    }
+
+    /**
+     * Open the round dialog with the active round
+     */
+    showRoundEditor() {
+        try {
+            const event = this.getActiveEvent();
+            const round = this.getActiveRound();
+            document.getElementById('roundName').value = round.name;
+            document.getElementById('roundParticipants').value = round.participants.join('\n');
+            document.getElementById('roundAdvanceCount').value = round.advanceCount || '';
+            document.getElementById('roundWarmup').value = round.warmup || '';
+            document.getElementById('roundMode').value = round.mode || 'single';
+            document.getElementById('roundSeed').value = round.drawSeed || '';
+            this.startOrderDraft = round.startOrder || [];
+            this.renderStartOrderPreview();
+
+            // Weiterkommen nur in spätere Runden
+            const later = event.rounds.slice(event.rounds.indexOf(round) + 1);
+            const advanceTo = document.getElementById('roundAdvanceTo');
+            advanceTo.innerHTML = [
+                '<option value="">Neue Runde anlegen</option>',
+                ...later.map(r => `<option value="${r.id}">${this.escapeHtml(r.name)}</option>`)
+            ].join('');
+            advanceTo.value = later.some(r => r.id === round.advanceTo) ? String(round.advanceTo) : '';
+
+            const roundModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('roundModal'));
+            roundModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen der Runde', error);
+        }
+    }
+
+    /**
+     * Draw the start order from the participants in the round dialog
+     * An empty seed field is filled with a new random seed first.
+     */
+    drawStartOrderForm() {
+        const seedInput = document.getElementById('roundSeed');
+        if (!seedInput.value.trim()) {
+            seedInput.value = Math.random().toString(36).slice(2, 8).toUpperCase();
+        }
+
+        const { participants, warmup } = this.readRoundLineUp();
+        const candidates = participants.filter(name => name !== warmup);
+        if (candidates.length < 2) {
+            this.showNotification('Für eine Auslosung werden mindestens zwei Teilnehmer*innen benötigt', 'warning');
+            return;
+        }
+
+        this.startOrderDraft = this.drawStartOrder(candidates, seedInput.value.trim());
+        this.renderStartOrderPreview();
+    }
+
+    /**
+     * Show the start order the round dialog would save
+     */
+    renderStartOrderPreview() {
+        const preview = document.getElementById('roundStartOrder');
+        if (!preview) {
+            return;
+        }
+
+        const { participants, warmup } = this.readRoundLineUp();
+        const order = this.getStartOrder({ participants, warmup, startOrder: this.startOrderDraft });
+        preview.innerHTML = order
+            .map(name => `<li>${this.escapeHtml(name)}${name === warmup ? ' <span class="badge bg-secondary">Opferlamm</span>' : ''}</li>`)
+            .join('');
+    }
+
+    /**
+     * Read participants and warm-up slot from the round dialog
+     * @returns {{participants: string[], warmup: string}} Line-up
+     */
+    readRoundLineUp() {
+        const participants = [...new Set(document.getElementById('roundParticipants').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean))];
+        const warmup = document.getElementById('roundWarmup').value.trim();
+        return { participants, warmup };
+    }
+
+    /**
+     * Read the round dialog
+     * @returns {Object|null} Round data or null if invalid
+     */
+    readRoundForm() {
+        const name = document.getElementById('roundName').value.trim();
+        const { participants, warmup } = this.readRoundLineUp();
+        const drawSeed = document.getElementById('roundSeed').value.trim();
+        const mode = ['battle', 'audience'].includes(document.getElementById('roundMode').value)
+            ? document.getElementById('roundMode').value
+            : 'single';
+        const advanceCount = Number(document.getElementById('roundAdvanceCount').value) || 0;
+        const advanceTo = Number(document.getElementById('roundAdvanceTo').value) || null;
+
+        if (!name) {
+            this.showNotification('Bitte einen Namen für die Runde eingeben', 'warning');
+            return null;
+        }
+        if (!Number.isInteger(advanceCount) || advanceCount < 0) {
+            this.showNotification('Die Anzahl der Weiterkommenden muss eine ganze Zahl sein', 'warning');
+            return null;
+        }
+        return { name, participants, warmup, startOrder: this.startOrderDraft || [], drawSeed, mode, advanceCount, advanceTo };
+    }
+
+    /**
+     * Save the round dialog as a new round or into the active round
+     * @param {boolean} asNew - Append a new round instead of updating the active one
+     */
+    saveRoundForm(asNew) {
+        const data = this.readRoundForm();
+        if (!data) {
+            return;
+        }
+
+        const event = this.getActiveEvent();
+        if (asNew) {
+            const round = { ...this.createRound(event, data.name), ...data, advanceTo: null };
+            event.rounds.push(round);
+            this.saveEvents();
+            this.setActiveRound(round.id);
+            this.showNotification(`Runde "${round.name}" angelegt`, 'success');
+        } else {
+            Object.assign(this.getActiveRound(), data);
+            this.saveEvents();
+            this.renderRoundSelect();
+            this.displayHistory();
+            this.updateRoundForm();
+            this.fillNextPerformer();
+            this.showNotification('Runde gespeichert', 'success');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('roundModal'))?.hide();
+    }
+
+    /**
+     * Delete the active round together with its results
+     */
+    deleteActiveRound() {
+        const event = this.getActiveEvent();
+        const round = this.getActiveRound();
+        if (!event || !round) {
+            return;
+        }
+
+        if (event.rounds.length === 1) {
+            this.showNotification('Die letzte Runde kann nicht gelöscht werden', 'warning');
+            return;
+        }
+
+        if (round.matches) {
+            this.showNotification('Runden eines Turnierbaums bitte über den Turnierbaum auflösen', 'warning');
+            return;
+        }
+
+        if (!confirm(`Runde "${round.name}" mit allen Ergebnissen löschen?`)) {
+            return;
+        }
+
+        this.history = this.history.filter(entry => !(entry.eventId === event.id && entry.roundId === round.id));
+        event.rounds = event.rounds.filter(r => r.id !== round.id);
+        event.rounds.forEach(r => {
+            if (r.advanceTo === round.id) {
+                r.advanceTo = null;
+            }
+        });
+        this.saveHistory();
+        this.saveEvents();
+        this.setActiveRound(event.rounds[0].id);
+
+        bootstrap.Modal.getInstance(document.getElementById('roundModal'))?.hide();
+    }
+
+    /**
+     * Bracket positions of the seeds, so the top seeds meet as late as possible
+     * e.g. size 8: [1, 8, 4, 5, 2, 7, 3, 6]
+     * @param {number} size - Bracket size (power of two)
+     * @returns {number[]} Seeds in bracket order
+     */
+    getSeedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Pairings of the first knockout stage
+     * Seeded fields follow the seed order, line-ups are paired in start
+     * order. Free places become byes for the first seeds / the last matches.
+     * @param {string[]} names - Participants (seed or start order)
+     * @param {boolean} seeded - Pair by seed instead of start order
+     * @returns {Array<{a: string, b: string|null, bye: boolean}>} Matches
+     */
+    createBracketMatches(names, seeded) {
+        const size = 2 ** Math.ceil(Math.log2(names.length));
+        const matches = [];
+
+        if (seeded) {
+            const order = this.getSeedOrder(size);
+            for (let i = 0; i < size; i += 2) {
+                const [a, b] = [names[order[i] - 1] || null, names[order[i + 1] - 1] || null];
+                matches.push({ a: a || b, b: a ? b : null, bye: !a || !b });
+            }
+            return matches;
+        }
+
+        const byes = size - names.length;
+        const fullMatches = size / 2 - byes;
+        let index = 0;
+        for (let i = 0; i < size / 2; i++) {
+            if (i < fullMatches) {
+                matches.push({ a: names[index], b: names[index + 1], bye: false });
+                index += 2;
+            } else {
+                matches.push({ a: names[index], b: null, bye: true });
+                index += 1;
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Knockout stage rounds of an event in stage order
+     * @param {Object} [event] - Event (defaults to the active event)
+     * @returns {Object[]} Rounds with matches
+     */
+    getBracketRounds(event = this.getActiveEvent()) {
+        return (event?.rounds || [])
+            .filter(round => round.matches)
+            .sort((a, b) => a.bracketStage - b.bracketStage);
+    }
+
+    /**
+     * Result of one knockout match from the history of its round
+     * Battles are decided by their vote, jury-scored performances by the
+     * higher total (with the configured tie-breakers).
+     * @param {Object} round - Stage round
+     * @param {Object} match - Match
+     * @returns {{winner: string|null, scoreA: string, scoreB: string, tied: boolean}} Result
+     */
+    getMatchResult(round, match) {
+        const result = { winner: null, scoreA: '', scoreB: '', tied: false };
+        if (match.bye) {
+            return { ...result, winner: match.a };
+        }
+        if (!match.a || !match.b) {
+            return result;
+        }
+
+        const entries = this.history.filter(entry => entry.eventId === this.activeEventId && entry.roundId === round.id);
+        const battle = entries.find(entry => entry.type === 'battle' &&
+            [entry.participantName, entry.opponentName].sort().join('|') === [match.a, match.b].sort().join('|'));
+        if (battle) {
+            const votesFor = (name) => name === battle.participantName ? battle.votesA : battle.votesB;
+            return {
+                winner: this.getBattleWinnerName(battle),
+                scoreA: String(votesFor(match.a)),
+                scoreB: String(votesFor(match.b)),
+                tied: !battle.winner
+            };
+        }
+
+        // Jeweils der letzte Auftritt zählt
+        const competing = this.getCompetitionEntries(entries);
+        const entryA = competing.find(entry => entry.participantName === match.a);
+        const entryB = competing.find(entry => entry.participantName === match.b);
+        result.scoreA = entryA ? this.formatTotal(entryA) : '';
+        result.scoreB = entryB ? this.formatTotal(entryB) : '';
+        if (!entryA || !entryB) {
+            return result;
+        }
+
+        const [first] = this.rankEntries([entryA, entryB]);
+        if (first.shared) {
+            return { ...result, tied: true };
+        }
+        return { ...result, winner: first.entry.participantName };
+    }
+
+    /**
+     * Recompute the bracket: fill later stages with the winners so far and
+     * update the line-up of every stage round
+     * @param {boolean} [autoAdvance=false] - Switch to the next stage once the active one is complete
+     */
+    updateBracket(autoAdvance = false) {
+        const event = this.getActiveEvent();
+        const stages = this.getBracketRounds(event);
+        if (stages.length === 0) {
+            return;
+        }
+
+        stages.forEach((round, stageIndex) => {
+            if (stageIndex > 0) {
+                const previous = stages[stageIndex - 1];
+                round.matches.forEach((match, index) => {
+                    match.a = previous.matches[index * 2].winner || null;
+                    match.b = previous.matches[index * 2 + 1].winner || null;
+                });
+            }
+
+            round.matches.forEach(match => {
+                const { winner } = this.getMatchResult(round, match);
+                match.winner = winner;
+            });
+
+            const lineUp = round.matches.filter(match => !match.bye).flatMap(match => [match.a, match.b]).filter(Boolean);
+            round.participants = lineUp;
+            round.startOrder = lineUp;
+        });
+
+        this.saveEvents();
+
+        if (!autoAdvance) {
+            return;
+        }
+
+        const activeRound = this.getActiveRound();
+        const stageIndex = stages.indexOf(activeRound);
+        if (stageIndex === -1 || activeRound.matches.some(match => !match.winner)) {
+            return;
+        }
+
+        const next = stages[stageIndex + 1];
+        if (next) {
+            this.showNotification(`${activeRound.name} abgeschlossen – weiter mit ${next.name}`, 'success');
+            this.setActiveRound(next.id);
+        } else {
+            this.showNotification(`Turniersieg: ${activeRound.matches[0].winner}`, 'success');
+        }
+    }
+
+    /**
+     * Create a knockout bracket from the active round
+     * The field is either its line-up (start order) or its ranking (seeding).
+     */
+    createBracket() {
+        const event = this.getActiveEvent();
+        const round = this.getActiveRound();
+        if (!event || !round) {
+            return;
+        }
+
+        if (this.getBracketRounds(event).length > 0) {
+            this.showNotification('Diese Veranstaltung hat bereits einen Turnierbaum', 'warning');
+            return;
+        }
+
+        const source = document.getElementById('bracketSource').value;
+        const mode = document.getElementById('bracketMode').value === 'battle' ? 'battle' : 'single';
+        const names = source === 'ranking'
+            ? [...new Set(this.rankEntries(this.getRankingEntries(this.getRoundHistory())).map(row => row.entry.participantName))]
+            : this.getStartOrder(round).filter(name => name !== round.warmup);
+
+        if (names.length < 2 || names.length > MAX_BRACKET_SIZE) {
+            this.showNotification(`Ein Turnierbaum braucht 2 bis ${MAX_BRACKET_SIZE} Teilnehmer*innen (aktuell ${names.length})`, 'warning');
+            return;
+        }
+
+        let matches = this.createBracketMatches(names, source === 'ranking');
+        let stageIndex = 0;
+        while (matches.length > 0) {
+            event.rounds.push({
+                ...this.createRound(event, BRACKET_STAGE_NAMES[matches.length] || `Runde der letzten ${matches.length * 2}`),
+                mode,
+                bracketStage: stageIndex,
+                matches
+            });
+            stageIndex++;
+            matches = matches.length > 1
+                ? Array.from({ length: matches.length / 2 }, () => ({ a: null, b: null, bye: false }))
+                : [];
+        }
+
+        this.updateBracket();
+        this.setActiveRound(this.getBracketRounds(event)[0].id);
+        this.renderBracket();
+        this.showNotification(`Turnierbaum mit ${names.length} Teilnehmer*innen erstellt`, 'success');
+    }
+
+    /**
+     * Turn the stage rounds back into ordinary rounds (results are kept)
+     */
+    dissolveBracket() {
+        const stages = this.getBracketRounds();
+        if (stages.length === 0) {
+            return;
+        }
+
+        if (!confirm('Turnierbaum auflösen? Die Runden und Ergebnisse bleiben erhalten.')) {
+            return;
+        }
+
+        stages.forEach(round => {
+            delete round.matches;
+            delete round.bracketStage;
+        });
+        this.saveEvents();
+        this.renderBracket();
+    }
+
+    /**
+     * Open the bracket dialog
+     */
+    showBracket() {
+        try {
+            this.renderBracket();
+            const bracketModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('bracketModal'));
+            bracketModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen des Turnierbaums', error);
+        }
+    }
+
+    /**
+     * Render the bracket overview, or the creation form if there is none yet
+     */
+    renderBracket() {
+        const overview = document.getElementById('bracketOverview');
+        const createForm = document.getElementById('bracketCreate');
+        const dissolveButton = document.getElementById('dissolveBracket');
+        if (!overview || !createForm) {
+            return;
+        }
+
+        const stages = this.getBracketRounds();
+        createForm.style.display = stages.length === 0 ? 'block' : 'none';
+        dissolveButton.style.display = stages.length === 0 ? 'none' : '';
+        if (stages.length === 0) {
+            overview.innerHTML = '';
+            return;
+        }
+
+        const side = (name, score, isWinner) => `
+            <div class="bracket-side ${isWinner ? 'winner' : ''}">
+                <span>${name ? this.escapeHtml(name) : '<span class="text-muted">offen</span>'}</span>
+                <span class="bracket-score">${score}</span>
+            </div>`;
+
+        overview.innerHTML = stages.map(round => `
+            <div class="bracket-stage">
+                <div class="bracket-stage-name small fw-bold mb-2">${this.escapeHtml(round.name)}</div>
+                ${round.matches.map(match => {
+                    const result = this.getMatchResult(round, match);
+                    return `
+                        <div class="bracket-match ${round.id === this.getActiveRound()?.id ? 'active' : ''}">
+                            ${side(match.a, result.scoreA, match.winner && match.winner === match.a)}
+                            ${match.bye ? '<div class="bracket-side text-muted"><small>Freilos</small></div>' : side(match.b, result.scoreB, match.winner && match.winner === match.b)}
+                            ${result.tied ? '<small class="text-warning"><i class="bi bi-intersect"></i> Gleichstand</small>' : ''}
+                        </div>`;
+                }).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Names of all series events are assigned to
+     * @returns {string[]} Sorted series names
+     */
+    getSeriesNames() {
+        return [...new Set(this.events.map(event => event.series).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'de'));
+    }
+
+    /**
+     * League configuration of a series (points per place, name aliases)
+     * @param {string} series - Series name
+     * @returns {{points: number[], participationPoints: number, aliases: Object<string, string>}} Configuration
+     */
+    getLeagueConfig(series) {
+        return { ...DEFAULT_LEAGUE, ...this.leagues[series] };
+    }
+
+    /**
+     * Key for matching participant names across events
+     * Case, surrounding/multiple spaces and accents are ignored, aliases
+     * map alternative spellings or stage names onto one person.
+     * @param {string} name - Participant name
+     * @param {Object<string, string>} [aliases] - Alias → name (already normalized keys)
+     * @returns {string} Match key
+     */
+    getNameKey(name, aliases = {}) {
+        const key = String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+        return aliases[key] ?? key;
+    }
+
+    /**
+     * Final placements of an event
+     * The last round with results decides the top places, participants
+     * who dropped out earlier follow by their place in that earlier round.
+     * @param {Object} event - Event
+     * @param {Object<string, string>} [aliases] - Name keys of other spellings, see getNameKey
+     * @returns {Array<{name: string, place: number}>} Placements
+     */
+    getEventStandings(event, aliases = {}) {
+        const placed = new Set();
+        const standings = [];
+
+        [...event.rounds].reverse().forEach(round => {
+            const entries = this.history.filter(entry => entry.eventId === event.id && entry.roundId === round.id);
+            const offset = standings.length;
+
+            // Wer schon in einer späteren Runde (oder weiter oben in dieser) platziert ist, zählt nicht mehr mit
+            const remaining = this.getRoundPlacements(entries, event).filter(({ name }) => {
+                const key = this.getNameKey(name, aliases);
+                if (placed.has(key)) {
+                    return false;
+                }
+                placed.add(key);
+                return true;
+            });
+            remaining.forEach(({ name, place }, index) => {
+                const previous = remaining[index - 1];
+                const eventPlace = previous && previous.place === place
+                    ? standings[standings.length - 1].place
+                    : offset + index + 1;
+                standings.push({ name, place: eventPlace });
+            });
+        });
+
+        return standings;
+    }
+
+    /**
+     * Placements within one round for every format
+     * @param {Object[]} entries - History entries of the round
+     * @param {Object} event - Event of the round
+     * @returns {Array<{name: string, place: number}>} Placements (best first)
+     */
+    getRoundPlacements(entries, event) {
+        const audienceVote = entries.find(entry => entry.type === 'audience');
+        if (audienceVote) {
+            return audienceVote.tally.map(row => ({ name: row.name, place: row.place }));
+        }
+
+        const battles = entries.filter(entry => entry.type === 'battle');
+        if (battles.length > 0) {
+            // Sieger*innen vor Unterlegenen, Unentschieden zählt als Sieg
+            return battles
+                .flatMap(entry => [
+                    { name: entry.participantName, place: entry.winner === 'b' ? 2 : 1 },
+                    { name: entry.opponentName, place: entry.winner === 'a' ? 2 : 1 }
+                ])
+                .sort((a, b) => a.place - b.place);
+        }
+
+        return this.rankEntries(this.getRankingEntries(entries, event))
+            .map(row => ({ name: row.entry.participantName, place: row.place }));
+    }
+
+    /**
+     * League table of a series
+     * Shared places earn the points of that place.
+     * @param {string} series - Series name
+     * @returns {Array<{name: string, points: number, place: number, eventCount: number, bestPlace: number, results: Array}>} Rows in table order
+     */
+    getLeagueStandings(series) {
+        const config = this.getLeagueConfig(series);
+        const aliases = Object.fromEntries(Object.entries(config.aliases)
+            .map(([alias, name]) => [this.getNameKey(alias), this.getNameKey(name)]));
+        const canonicalNames = new Map(Object.values(config.aliases)
+            .map(name => [this.getNameKey(name), name]));
+        const rows = new Map();
+
+        this.events
+            .filter(event => event.series === series)
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+            .forEach(event => {
+                this.getEventStandings(event, aliases).forEach(({ name, place }) => {
+                    const key = this.getNameKey(name, aliases);
+                    if (!rows.has(key)) {
+                        rows.set(key, { name, points: 0, eventCount: 0, bestPlace: Infinity, results: [] });
+                    }
+
+                    const row = rows.get(key);
+                    const points = config.points[place - 1] ?? config.participationPoints;
+                    // Zusammengeführte Namen in der hinterlegten, sonst in der neuesten Schreibweise anzeigen
+                    row.name = canonicalNames.get(key) || name;
+                    row.points += points;
+                    row.eventCount++;
+                    row.bestPlace = Math.min(row.bestPlace, place);
+                    row.results.push({ event: this.getEventLabel(event), place, points });
+                });
+            });
+
+        const compareRows = (a, b) => b.points - a.points || a.bestPlace - b.bestPlace || b.eventCount - a.eventCount;
+        const table = [...rows.values()].sort(compareRows);
+        // Nur wer in allen Sortierkriterien gleich ist, teilt sich einen Platz
+        table.forEach((row, index) => {
+            const previous = table[index - 1];
+            row.place = previous && compareRows(previous, row) === 0 ? previous.place : index + 1;
+        });
+        return table;
+    }
+
+    /**
+     * Open the league dialog for the series of the active event
+     */
+    showLeague() {
+        try {
+            const seriesNames = this.getSeriesNames();
+            const select = document.getElementById('leagueSeries');
+            select.innerHTML = seriesNames.length > 0
+                ? seriesNames.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('')
+                : '<option value="">Keine Reihe angelegt</option>';
+            select.value = this.getActiveEvent()?.series || seriesNames[0] || '';
+
+            this.fillLeagueForm();
+
+            const leagueModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('leagueModal'));
+            leagueModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen der Liga', error);
+        }
+    }
+
+    /**
+     * Fill the points scheme and aliases of the selected series and render its table
+     */
+    fillLeagueForm() {
+        const series = document.getElementById('leagueSeries').value;
+        const config = this.getLeagueConfig(series);
+        document.getElementById('leaguePoints').value = config.points.join(', ');
+        document.getElementById('leagueParticipation').value = config.participationPoints;
+        document.getElementById('leagueAliases').value = Object.entries(config.aliases)
+            .map(([alias, name]) => `${alias} = ${name}`)
+            .join('\n');
+        this.renderLeagueTable(series);
+    }
+
+    /**
+     * Save the points scheme and aliases of the selected series
+     */
+    saveLeagueForm() {
+        const series = document.getElementById('leagueSeries').value;
+        if (!series) {
+            this.showNotification('Bitte zuerst einer Veranstaltung eine Reihe zuweisen', 'warning');
+            return;
+        }
+
+        const points = document.getElementById('leaguePoints').value
+            .split(/[;,\s]+/)
+            .filter(Boolean)
+            .map(value => Number(value.replace(',', '.')));
+        const participationPoints = Number(document.getElementById('leagueParticipation').value) || 0;
+        if (points.length === 0 || points.some(value => !Number.isFinite(value) || value < 0) || participationPoints < 0) {
+            this.showNotification('Punkte bitte als Zahlen ab 0 eingeben, z.B. "10, 8, 6"', 'error');
+            return;
+        }
+
+        const aliases = {};
+        document.getElementById('leagueAliases').value.split('\n').forEach(line => {
+            const [alias, name] = line.split('=').map(part => part?.trim());
+            if (alias && name) {
+                aliases[alias] = name;
+            }
+        });
+
+        this.leagues[series] = { points, participationPoints, aliases };
+        this.saveLeagues();
+        this.renderLeagueTable(series);
+        this.showNotification('Punkteschema gespeichert', 'success');
+    }
+
+    /**
+     * Render the league table of a series
+     * @param {string} series - Series name
+     */
+    renderLeagueTable(series) {
+        const body = document.getElementById('leagueTableBody');
+        if (!body) {
+            return;
+        }
+
+        const standings = series ? this.getLeagueStandings(series) : [];
+        if (standings.length === 0) {
+            body.innerHTML = '<tr><td colspan="4" class="text-center text-muted small">Noch keine Ergebnisse in dieser Reihe</td></tr>';
+            return;
+        }
+
+        body.innerHTML = standings.map(row => `
+            <tr>
+                <td class="ranking-place">${row.place}.</td>
+                <td>
+                    <strong>${this.escapeHtml(row.name)}</strong>
+                    <br><small class="text-muted">${row.results.map(result => `${this.escapeHtml(result.event)}: ${result.place}.`).join(' · ')}</small>
+                </td>
+                <td class="text-center">${row.eventCount}</td>
+                <td class="text-end"><span class="badge bg-success">${this.formatScore(row.points, Number.isInteger(row.points) ? 0 : 1)}</span></td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Export the league table of the selected series as CSV
+     */
+    exportLeagueCSV() {
+        const series = document.getElementById('leagueSeries').value;
+        const standings = series ? this.getLeagueStandings(series) : [];
+        if (standings.length === 0) {
+            this.showNotification('Keine Daten zum Exportieren vorhanden', 'warning');
+            return;
+        }
+
+        const csvContent = [
+            ['Platz', 'Name', 'Punkte', 'Veranstaltungen', 'Bester Platz', 'Ergebnisse'].join(';'),
+            ...standings.map(row => this.toCsvRow([
+                row.place,
+                row.name,
+                this.formatScore(row.points, Number.isInteger(row.points) ? 0 : 1),
+                row.eventCount,
+                row.bestPlace,
+                row.results.map(result => `${result.event}: ${result.place}. (${result.points})`).join(', ')
+            ]))
+        ].join('\n');
+
+        const slug = series.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'reihe';
+        this.downloadFile(csvContent, `poetry-slam-liga-${slug}.csv`, 'text/csv;charset=utf-8;');
+    }
+
+    /**
+     * Run-sheet of an event (older events get an empty one)
+     * @param {Object} [event=this.getActiveEvent()] - Event
+     * @returns {Object[]} Segments in running order
+     */
+    getRunSheet(event = this.getActiveEvent()) {
+        if (!event) {
+            return [];
+        }
+        if (!Array.isArray(event.runSheet)) {
+            event.runSheet = [];
+        }
+        return event.runSheet;
+    }
+
+    /**
+     * Display title of a run-sheet segment
+     * @param {Object} segment - Run-sheet segment
+     * @returns {string} Title or the label of its kind
+     */
+    getRunSheetTitle(segment) {
+        return segment.title || RUN_SHEET_SEGMENTS[segment.type].label;
+    }
+
+    /**
+     * Format a timestamp as time of day
+     * @param {number} timestamp - Milliseconds
+     * @returns {string} e.g. "20:15"
+     */
+    formatClockTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Planned and projected times of the run-sheet
+     * Finished segments keep their real times, the running one lasts at
+     * least until now, open segments follow from now on. The difference
+     * between projected and planned end is the delay of the evening.
+     * @param {Object} [event=this.getActiveEvent()] - Event
+     * @param {number} [now=Date.now()] - Reference timestamp
+     * @returns {{rows: Array<{segment: Object, start: number, end: number, state: string}>, plannedEnd: number, projectedEnd: number, delayMinutes: number}} Schedule
+     */
+    getRunSheetSchedule(event = this.getActiveEvent(), now = Date.now()) {
+        const segments = this.getRunSheet(event);
+        const plannedStart = event?.runSheetStart && event.date
+            ? new Date(`${event.date}T${event.runSheetStart}`).getTime()
+            : (segments.find(segment => segment.startedAt)?.startedAt ?? now);
+        let projected = plannedStart;
+        let planned = plannedStart;
+
+        const rows = segments.map(segment => {
+            const plannedMs = segment.plannedMinutes * 60000;
+            let row;
+            if (segment.stoppedAt) {
+                row = { segment, start: segment.startedAt, end: segment.stoppedAt, state: 'done' };
+            } else if (segment.startedAt) {
+                row = { segment, start: segment.startedAt, end: Math.max(segment.startedAt + plannedMs, now), state: 'running' };
+            } else {
+                const start = Math.max(projected, now);
+                row = { segment, start, end: start + plannedMs, state: 'pending' };
+            }
+            projected = row.end;
+            planned += plannedMs;
+            return row;
+        });
+
+        return {
+            rows,
+            plannedEnd: planned,
+            projectedEnd: projected,
+            delayMinutes: Math.round((projected - planned) / 60000)
+        };
+    }
+
+    /**
+     * Delay of the evening as text
+     * @param {number} delayMinutes - Minutes behind (positive) or ahead (negative)
+     * @returns {string} e.g. "+12 min", empty when on time
+     */
+    formatRunSheetDelay(delayMinutes) {
+        if (delayMinutes === 0) {
+            return '';
+        }
+        return delayMinutes > 0 ? `+${delayMinutes} min` : `−${-delayMinutes} min`;
+    }
+
+    /**
+     * Open the run-sheet of the active event
+     */
+    showRunSheet() {
+        try {
+            const event = this.getActiveEvent();
+            document.getElementById('runSheetStart').value = event?.runSheetStart || '';
+            document.getElementById('runSheetType').innerHTML = Object.entries(RUN_SHEET_SEGMENTS)
+                .map(([id, kind]) => `<option value="${id}">${kind.label}</option>`)
+                .join('');
+            this.renderRunSheet();
+
+            const runSheetModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('runSheetModal'));
+            runSheetModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen des Ablaufplans', error);
+        }
+    }
+
+    /**
+     * Render the run-sheet table and its summary
+     */
+    renderRunSheet() {
+        const schedule = this.getRunSheetSchedule();
+        const delay = this.formatRunSheetDelay(schedule.delayMinutes);
+
+        document.getElementById('runSheetSummary').innerHTML = schedule.rows.length > 0 ? `
+            Geplantes Ende: <strong>${this.formatClockTime(schedule.plannedEnd)}</strong><br>
+            Voraussichtlich: <strong class="${schedule.delayMinutes > 0 ? 'text-danger' : 'text-success'}">${this.formatClockTime(schedule.projectedEnd)}</strong>
+            ${delay ? `(${delay})` : ''}
+        ` : '';
+
+        const tbody = document.getElementById('runSheetBody');
+        if (schedule.rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted small">Noch keine Programmpunkte</td></tr>';
+            return;
+        }
+
+        const lastIndex = schedule.rows.length - 1;
+        tbody.innerHTML = schedule.rows.map(({ segment, start, end, state }, index) => {
+            const kind = RUN_SHEET_SEGMENTS[segment.type];
+            const actualSeconds = state === 'pending' ? null : Math.round(((state === 'done' ? end : Date.now()) - start) / 1000);
+            const overrun = actualSeconds !== null && actualSeconds > segment.plannedMinutes * 60;
+            const actions = {
+                pending: `<button class="btn btn-sm btn-outline-success" onclick="calculator.startRunSheetSegment(${segment.id})" title="Starten"><i class="bi bi-play-fill"></i></button>`,
+                running: `<button class="btn btn-sm btn-outline-danger" onclick="calculator.finishRunSheetSegment(${segment.id})" title="Beenden"><i class="bi bi-stop-fill"></i></button>`,
+                done: `<button class="btn btn-sm btn-outline-secondary" onclick="calculator.resetRunSheetSegment(${segment.id})" title="Zeiten zurücksetzen"><i class="bi bi-arrow-counterclockwise"></i></button>`
+            };
+
+            return `
+                <tr class="${state === 'running' ? 'table-active' : ''}${state === 'done' ? ' text-muted' : ''}">
+                    <td><small>${state === 'pending' ? 'ca. ' : ''}${this.formatClockTime(start)}</small></td>
+                    <td><i class="bi ${kind.icon}"></i> ${this.escapeHtml(this.getRunSheetTitle(segment))}</td>
+                    <td class="text-end"><small>${segment.plannedMinutes} min</small></td>
+                    <td class="text-end"><small class="${overrun ? 'text-danger' : ''}">${actualSeconds === null ? '–' : this.formatTimerDisplay(actualSeconds)}</small></td>
+                    <td class="text-end text-nowrap">
+                        ${actions[state]}
+                        <button class="btn btn-sm btn-outline-secondary" onclick="calculator.moveRunSheetSegment(${segment.id}, -1)" title="Nach oben" ${index === 0 ? 'disabled' : ''}><i class="bi bi-arrow-up"></i></button>
+                        <button class="btn btn-sm btn-outline-secondary" onclick="calculator.moveRunSheetSegment(${segment.id}, 1)" title="Nach unten" ${index === lastIndex ? 'disabled' : ''}><i class="bi bi-arrow-down"></i></button>
+                        <button class="btn btn-sm btn-outline-danger" onclick="calculator.deleteRunSheetSegment(${segment.id})" title="Entfernen"><i class="bi bi-trash"></i></button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the running segment and the projected end below the event select
+     */
+    updateRunSheetStatus() {
+        const status = document.getElementById('runSheetStatus');
+        if (!status) {
+            return;
+        }
+
+        const schedule = this.getRunSheetSchedule();
+        if (schedule.rows.length === 0) {
+            status.style.display = 'none';
+            return;
+        }
+
+        const running = schedule.rows.find(row => row.state === 'running');
+        const next = schedule.rows.find(row => row.state === 'pending');
+        const delay = this.formatRunSheetDelay(schedule.delayMinutes);
+        const current = running
+            ? `Läuft: ${this.escapeHtml(this.getRunSheetTitle(running.segment))}`
+            : (next ? `Als Nächstes: ${this.escapeHtml(this.getRunSheetTitle(next.segment))}` : 'Ablauf beendet');
+
+        status.innerHTML = `<i class="bi bi-list-check"></i> ${current} · Ende ca. ${this.formatClockTime(schedule.projectedEnd)}${delay ? ` <span class="${schedule.delayMinutes > 0 ? 'text-danger' : 'text-success'}">(${delay})</span>` : ''}`;
+        status.style.display = '';
+    }
+
+    /**
+     * Store the run-sheet and refresh its views
+     */
+    saveRunSheet() {
+        this.saveEvents();
+        this.renderRunSheet();
+        this.updateRunSheetStatus();
+    }
+
+    /**
+     * Store the planned start time of the evening
+     * @param {string} time - Time as "HH:MM" (empty for none)
+     */
+    setRunSheetStart(time) {
+        const event = this.getActiveEvent();
+        if (!event) {
+            return;
+        }
+
+        event.runSheetStart = time;
+        this.saveRunSheet();
+    }
+
+    /**
+     * Create a run-sheet segment (IDs count up within the event)
+     * @param {Object} event - Event the segment belongs to
+     * @param {Object} data - type, title, plannedMinutes and optional roundId
+     * @returns {Object} The new segment
+     */
+    createRunSheetSegment(event, data) {
+        return {
+            id: Math.max(0, ...this.getRunSheet(event).map(segment => segment.id)) + 1,
+            type: data.type,
+            title: data.title || '',
+            plannedMinutes: data.plannedMinutes,
+            roundId: data.roundId ?? null,
+            startedAt: null,
+            stoppedAt: null
+        };
+    }
+
+    /**
+     * Add the segment from the form below the run-sheet table
+     */
+    addRunSheetSegment() {
+        const event = this.getActiveEvent();
+        if (!event) {
+            return;
+        }
+
+        const type = document.getElementById('runSheetType').value;
+        const plannedMinutes = parseInt(document.getElementById('runSheetMinutes').value, 10);
+        // Programmpunkte mit Timer dürfen nicht länger sein, als der Timer zulässt
+        const maxMinutes = RUN_SHEET_SEGMENTS[type]?.usesTimer ? MAX_TIMER_MINUTES : 240;
+        if (!RUN_SHEET_SEGMENTS[type] || isNaN(plannedMinutes) || plannedMinutes < 1 || plannedMinutes > maxMinutes) {
+            this.showNotification(`Bitte eine Dauer zwischen 1 und ${maxMinutes} Minuten angeben`, 'warning');
+            return;
+        }
+
+        const titleInput = document.getElementById('runSheetTitle');
+        this.getRunSheet(event).push(this.createRunSheetSegment(event, { type, title: titleInput.value.trim(), plannedMinutes }));
+        titleInput.value = '';
+        this.saveRunSheet();
+    }
+
+    /**
+     * Add a segment for every round of the event that is not in the run-sheet yet
+     * The planned length is one timer length plus two minutes of scoring per poet.
+     */
+    addRoundSegments() {
+        const event = this.getActiveEvent();
+        if (!event) {
+            return;
+        }
+
+        const runSheet = this.getRunSheet(event);
+        const minutesPerPoet = (parseFloat(document.getElementById('timerMinutes').value) || 6) + 2;
+        const missing = (event.rounds || []).filter(round => !runSheet.some(segment => segment.roundId === round.id));
+        if (missing.length === 0) {
+            this.showNotification('Alle Runden stehen bereits im Ablaufplan', 'info');
+            return;
+        }
+
+        missing.forEach(round => {
+            const poets = this.getStartOrder(round).length;
+            runSheet.push(this.createRunSheetSegment(event, {
+                type: 'round',
+                title: round.name,
+                plannedMinutes: Math.max(10, Math.ceil(poets * minutesPerPoet)),
+                roundId: round.id
+            }));
+        });
+        this.saveRunSheet();
+    }
+
+    /**
+     * Start a segment; a segment that is still running is finished first
+     * @param {number} id - Segment ID
+     */
+    startRunSheetSegment(id) {
+        const runSheet = this.getRunSheet();
+        const segment = runSheet.find(s => s.id === id);
+        if (!segment) {
+            return;
+        }
+
+        const running = runSheet.find(s => s.startedAt && !s.stoppedAt);
+        if (running) {
+            this.finishRunSheetSegment(running.id);
+        }
+
+        segment.startedAt = Date.now();
+        segment.stoppedAt = null;
+
+        if (RUN_SHEET_SEGMENTS[segment.type].usesTimer) {
+            if (this.timerActive) {
+                this.showNotification('Der Timer läuft noch – der Programmpunkt wird nur mit Beginn und Ende erfasst', 'info');
+            } else if (segment.plannedMinutes > MAX_TIMER_MINUTES) {
+                this.showNotification(`Programmpunkte über ${MAX_TIMER_MINUTES} Minuten werden nur mit Beginn und Ende erfasst`, 'info');
+            } else {
+                // Die Zeit der Poet*innen im Eingabefeld bleibt unverändert
+                this.startTimer(segment.plannedMinutes);
+                if (this.timerActive) {
+                    this.runSheetTimerSegmentId = segment.id;
+                    this.saveTimerState();
+                }
+            }
+        }
+        this.saveRunSheet();
+    }
+
+    /**
+     * Finish a running segment and stop its timer
+     * @param {number} id - Segment ID
+     */
+    finishRunSheetSegment(id) {
+        const segment = this.getRunSheet().find(s => s.id === id);
+        if (!segment || !segment.startedAt) {
+            return;
+        }
+
+        segment.stoppedAt = Date.now();
+        if (this.runSheetTimerSegmentId === segment.id) {
+            // Der Timer gehört dem Programmpunkt, nicht dem nächsten Auftritt
+            this.runSheetTimerSegmentId = null;
+            this.stopTimer();
+            this.resetTimerState();
+        }
+        this.saveRunSheet();
+    }
+
+    /**
+     * Clear the recorded times of a segment
+     * @param {number} id - Segment ID
+     */
+    resetRunSheetSegment(id) {
+        const segment = this.getRunSheet().find(s => s.id === id);
+        if (!segment) {
+            return;
+        }
+
+        if (this.runSheetTimerSegmentId === segment.id) {
+            this.stopTimer();
+            this.resetTimerState();
+        }
+        segment.startedAt = null;
+        segment.stoppedAt = null;
+        this.saveRunSheet();
+    }
+
+    /**
+     * Move a segment up or down in the running order
+     * @param {number} id - Segment ID
+     * @param {number} offset - -1 (up) or 1 (down)
+     */
+    moveRunSheetSegment(id, offset) {
+        const runSheet = this.getRunSheet();
+        const index = runSheet.findIndex(segment => segment.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= runSheet.length) {
+            return;
+        }
+
+        [runSheet[index], runSheet[target]] = [runSheet[target], runSheet[index]];
+        this.saveRunSheet();
+    }
+
+    /**
+     * Remove a segment from the run-sheet
+     * @param {number} id - Segment ID
+     */
+    deleteRunSheetSegment(id) {
+        const event = this.getActiveEvent();
+        if (!event) {
+            return;
+        }
+
+        if (this.runSheetTimerSegmentId === id) {
+            this.runSheetTimerSegmentId = null;
+            if (this.timerStartTime) {
+                this.saveTimerState();
+            }
+        }
+        event.runSheet = this.getRunSheet(event).filter(segment => segment.id !== id);
+        this.saveRunSheet();
+    }
+
+    /**
+     * Participants that advance from a round by its ranking
+     * Everyone sharing the last qualifying place advances, so the list may
+     * be longer than the configured count.
+     * @param {Object[]} entries - History entries of the round
+     * @param {number} count - Number of advancing places
+     * @returns {string[]} Names in ranking order
+     */
+    getAdvancingParticipants(entries, count) {
+        const names = this.rankEntries(this.getRankingEntries(entries))
+            .filter(row => row.place <= count)
+            .map(row => row.entry.participantName);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Build the line-up of the following round from the active round's ranking
+     */
+    advanceRound() {
+        const event = this.getActiveEvent();
+        const round = this.getActiveRound();
+        if (!event || !round) {
+            return;
+        }
+
+        const isBattle = round.mode === 'battle';
+        const isAudience = round.mode === 'audience';
+        if (!isBattle && !isAudience && !round.advanceCount) {
+            this.showNotification('Bitte zuerst festlegen, wie viele Teilnehmer*innen weiterkommen', 'warning');
+            this.showRoundEditor();
+            return;
+        }
+
+        const entries = this.getRoundHistory();
+        if (entries.length === 0) {
+            this.showNotification('Diese Runde hat noch keine Ergebnisse', 'warning');
+            return;
+        }
+
+        // Im Battle kommen die Sieger*innen weiter, beim Publikum ohne Angabe nur der erste Platz
+        const advanceCount = isAudience ? (round.advanceCount || 1) : round.advanceCount;
+        let advancing;
+        if (isBattle) {
+            advancing = this.getBattleWinners(entries);
+        } else if (isAudience) {
+            advancing = this.getAudienceAdvancing(entries, advanceCount);
+        } else {
+            advancing = this.getAdvancingParticipants(entries, advanceCount);
+        }
+        if (advancing.length === 0) {
+            this.showNotification('Noch niemand hat sich für die nächste Runde qualifiziert', 'warning');
+            return;
+        }
+        let target = event.rounds.find(r => r.id === round.advanceTo);
+        if (target) {
+            // Wer aus dieser Runde nach einer Korrektur nicht mehr weiterkommt, fällt wieder heraus
+            const fromRound = new Set([...round.participants, ...entries.flatMap(entry => [entry.participantName, entry.opponentName])]);
+            const kept = target.participants.filter(name => !fromRound.has(name));
+            target.participants = [...new Set([...kept, ...advancing])];
+        } else {
+            target = this.createRound(event, `Runde ${event.rounds.length + 1}`, advancing);
+            event.rounds.push(target);
+            round.advanceTo = target.id;
+        }
+        this.saveEvents();
+        this.setActiveRound(target.id);
+
+        if (!isBattle && advancing.length > advanceCount) {
+            this.showNotification(`Geteilter Platz: ${advancing.length} statt ${advanceCount} kommen weiter in "${target.name}"`, 'warning');
+        } else {
+            this.showNotification(`${advancing.join(', ')} ${advancing.length === 1 ? 'kommt' : 'kommen'} weiter in "${target.name}"`, 'success');
+        }
+    }
+
+    // PWA Service Worker Registrierung
+    async registerServiceWorker() {
+        if ('serviceWorker' in navigator) {
+            try {
+                // Service Worker wird automatisch von Vite PWA registriert
+                // Service Worker wird von Vite PWA Plugin verwaltet
+                
+                // Force cache refresh on app load
+                this.forceCacheRefresh();
+                
+                // Listen for service worker updates
+                navigator.serviceWorker.addEventListener('controllerchange', () => {
+                    // Service Worker updated, triggering reload
+                    window.location.reload();
+                });
+
+            } catch (error) {
+                console.error('Service Worker registration failed:', error);
+            }
+        }
+    }
+
+    // Force cache refresh for PWA updates
+    async forceCacheRefresh() {
+        try {
+            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+                // Send message to service worker to skip waiting
+                navigator.serviceWorker.controller.postMessage({ type: 'SKIP_WAITING' });
+                
+                // Clear all caches
+                const cacheNames = await caches.keys();
+                await Promise.all(
+                    cacheNames.map(cacheName => caches.delete(cacheName))
+                );
+                
+                // Cache refresh completed successfully
+            }
+        } catch (error) {
+            console.warn('Cache refresh failed:', error);
+        }
+    }
+
+    // Manual refresh function for users
+    async forceRefresh() {
+        try {
+            this.showNotification('Aktualisiere App...', 'info');
+            
+            // Clear all caches
+            const cacheNames = await caches.keys();
+            await Promise.all(
+                cacheNames.map(cacheName => caches.delete(cacheName))
+            );
+            
+            // Force service worker update
+            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+                navigator.serviceWorker.controller.postMessage({ type: 'SKIP_WAITING' });
+            }
+            
+            // Reload the page
+            setTimeout(() => {
+                window.location.reload(true);
+            }, 1000);
+            
+        } catch (error) {
+            console.error('Force refresh failed:', error);
+            this.showNotification('Aktualisierung fehlgeschlagen', 'error');
+        }
+    }
+
+    // Update-Benachrichtigung anzeigen
+    showUpdateNotification() {
+        const updateToast = document.createElement('div');
+        updateToast.className = 'toast align-items-center text-white bg-primary border-0 position-fixed top-0 end-0 m-3';
+        updateToast.style.zIndex = '9999';
+        updateToast.innerHTML = `
+            <div class="d-flex">
+                <div class="toast-body">
+                    <i class="bi bi-arrow-clockwise me-2"></i>
+                    Neue Version verfügbar! Seite wird aktualisiert...
+                </div>
+                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
+            </div>
+        `;
+        document.body.appendChild(updateToast);
+        
+        const toast = new bootstrap.Toast(updateToast);
+        toast.show();
+        
+        setTimeout(() => {
+            toast.hide();
+            document.body.removeChild(updateToast);
+        }, 3000);
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-bs-theme', theme);
+        localStorage.setItem('theme', theme);
+        
+        // Update theme icon
+        const themeIcon = document.getElementById('themeIcon');
+        if (themeIcon) {
+            themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
+        }
+        
+        // Update status bar colors for iOS
+        this.updateStatusBarColors(theme);
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        this.setTheme(newTheme);
+    }
+
+    updateStatusBarColors(theme) {
+        const themeColorMeta = document.getElementById('themeColor');
+        const statusBarStyleMeta = document.getElementById('statusBarStyle');
+        
+        if (themeColorMeta && statusBarStyleMeta) {
+            if (theme === 'dark') {
+                // Dark theme: dark background, light text
+                themeColorMeta.setAttribute('content', '#0d1117');
+                statusBarStyleMeta.setAttribute('content', 'black-translucent');
+            } else {
+                // Light theme: light background, dark text
+                themeColorMeta.setAttribute('content', '#ffffff');
+                statusBarStyleMeta.setAttribute('content', 'default');
+            }
+        }
+    }
+
+    /**
+     * View that follows the current one in the toggle order
+     * @returns {string} View ID
+     */
+    getNextView() {
+        const views = Object.keys(HISTORY_VIEWS);
+        return views[(views.indexOf(this.currentView) + 1) % views.length];
+    }
+
+    toggleView() {
+        this.currentView = this.getNextView();
+        localStorage.setItem('viewMode', this.currentView);
+        this.updateView();
+        this.displayHistory();
+    }
+
+    updateView() {
+        const viewIcon = document.getElementById('viewIcon');
+        const viewToggle = document.getElementById('viewToggle');
+        const nextView = HISTORY_VIEWS[this.getNextView()];
+        
+        // Das Symbol zeigt die Ansicht, zu der gewechselt wird
+        if (viewIcon) {
+            viewIcon.className = `bi ${nextView.icon}`;
+        }
+        if (viewToggle) {
+            viewToggle.title = `Ansicht wechseln: ${nextView.label}`;
+        }
+        
+        this.showHistoryContainer(this.currentView);
+    }
+
+    /**
+     * Show the container of one history view and hide the others
+     * @param {string|null} view - View ID or null to hide all
+     */
+    showHistoryContainer(view) {
+        Object.entries(HISTORY_VIEWS).forEach(([id, { container }]) => {
+            const element = document.getElementById(container);
+            if (element) {
+                element.style.display = id === view ? 'block' : 'none';
+            }
+        });
+    }
+
+    // Auto-Save Funktionen
+    triggerAutoSave(input) {
+        // Clear existing timeout
+        if (this.autoSaveTimeout) {
+            clearTimeout(this.autoSaveTimeout);
+        }
+
+        // Show saving indicator
+        this.showAutoSaveIndicator(input, 'saving');
+
+        // Set new timeout
+        this.autoSaveTimeout = setTimeout(() => {
+            this.performAutoSave(input);
+        }, this.autoSaveDelay);
+    }
+
+    // Offline-Status überwachen
+    setupOfflineMonitoring() {
+        window.addEventListener('online', () => {
+    
+            this.syncOfflineData();
+        });
+
+        window.addEventListener('offline', () => {
+            this.showNotification('Offline-Modus aktiv', 'warning');
+        });
+
+        // Initial check
+        if (!navigator.onLine) {
+            this.showNotification('Offline-Modus aktiv', 'warning');
+        }
+    }
+
+    // Offline-Daten synchronisieren
+    async syncOfflineData() {
+        try {
+            const offlineData = localStorage.getItem('poetrySlamOfflineData');
+            if (offlineData) {
+                const data = JSON.parse(offlineData);
+                // Syncing offline data to server
+                
+                // Hier könnte die Synchronisation mit einem Server erfolgen
+                // await this.syncToServer(data);
+                
+                // Clear offline data after successful sync
+                localStorage.removeItem('poetrySlamOfflineData');
+        
+            }
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.showNotification('Synchronisation fehlgeschlagen', 'error');
+        }
+    }
+
+    showAutoSaveIndicator(input, state) {
+        input.classList.remove('auto-saved', 'auto-saving');
+        
+        if (state === 'saving') {
+            input.classList.add('auto-saving');
+        } else if (state === 'saved') {
+            input.classList.add('auto-saved');
+            setTimeout(() => {
+                input.classList.remove('auto-saved');
+            }, 2000);
+        }
+    }
+
+    performAutoSave(input) {
+        // Simuliere Auto-Save (hier könnte später eine echte Speicherung erfolgen)
+        this.showAutoSaveIndicator(input, 'saved');
+        
+        // Optional: Speichere in localStorage für Wiederherstellung
+        const autoSaveData = {
+            participantName: document.getElementById('participantName').value,
+            judgeScores: this.getCurrentScores(),
+            absentJudges: [...this.absentJudges],
+            timestamp: Date.now()
+        };
+        
+        try {
+            localStorage.setItem('poetrySlamAutoSave', JSON.stringify(autoSaveData));
+        } catch (e) {
+            console.warn('Auto-Save fehlgeschlagen:', e);
+        }
+    }
+
+    getCurrentScores() {
+        const scores = {};
+        document.querySelectorAll('.judge-input').forEach(input => {
+            if (input.value.trim()) {
+                let value = input.value.trim();
+                
+                // Count decimal separators
+                const commaCount = (value.match(/,/g) || []).length;
+                const dotCount = (value.match(/\./g) || []).length;
+                
+                // Only allow one decimal separator
+                if (commaCount > 1 || dotCount > 1) {
+                    // If multiple separators of same type, keep only the first one
+                    if (commaCount > 1) {
+                        const firstComma = value.indexOf(',');
+                        value = value.substring(0, firstComma + 1) + value.substring(firstComma + 1).replace(/,/g, '');
+                    }
+                    if (dotCount > 1) {
+                        const firstDot = value.indexOf('.');
+                        value = value.substring(0, firstDot + 1) + value.substring(firstDot + 1).replace(/\./g, '');
+                    }
+                }
+                
+                // If both comma and dot are present, remove the first one and keep the last one
+                if (commaCount > 0 && dotCount > 0) {
+                    const lastComma = value.lastIndexOf(',');
+                    const lastDot = value.lastIndexOf('.');
+                    
+                    if (lastComma > lastDot) {
+                        // Keep comma, remove all dots
+                        value = value.replace(/\./g, '');
+                        value = value.replace(',', '.');
+                    } else {
+                        // Keep dot, remove all commas
+                        value = value.replace(/,/g, '');
+                    }
+                } else if (commaCount > 0) {
+                    // Only comma present, convert to dot
+                    value = value.replace(',', '.');
+                }
+                
+                scores[input.id] = value;
+            }
+        });
+        return scores;
+    }
+
+    generateJudgeInputs() {
+        const container = document.getElementById('judgeInputs');
+        
+        // Store current values before clearing
+        const currentValues = {};
+        document.querySelectorAll('.judge-input').forEach(input => {
+            if (input.value) {
+                currentValues[input.id] = input.value;
+            }
+        });
+        
+        // Use requestAnimationFrame for smoother DOM updates
+        requestAnimationFrame(() => {
+            container.innerHTML = '';
+
+            // Publikumswertung ersetzt die Punktetafeln
+            if (this.isAudienceRound()) {
+                container.innerHTML = this.renderAudienceInputs();
+                return;
+            }
+
+            // Bestimme die Anzahl Spalten basierend auf Bildschirmgröße
+            const isMobile = window.innerWidth <= 768;
+            const isSmallMobile = window.innerWidth <= 576;
+            
+            let colClass = 'col-md-6 col-lg-4';
+            if (isSmallMobile) {
+                colClass = 'col-6';
+            } else if (isMobile) {
+                colClass = 'col-md-6';
+            }
+
+            // Placeholder und Tastatur richten sich nach dem Wertungsbereich
+            const placeholder = this.getScoreRangeLabel().replace(/ /g, '');
+            const inputMode = this.getScoreDecimals() > 0 ? 'decimal' : 'numeric';
+
+            // Create document fragment for better performance
+            const fragment = document.createDocumentFragment();
+
+            for (let i = 0; i < this.currentJudgeCount; i++) {
+                const col = document.createElement('div');
+                col.className = colClass;
+                
+                if (this.isBattleRound()) {
+                    col.innerHTML = this.renderBattleJudge(i + 1);
+                    fragment.appendChild(col);
+                    continue;
+                }
+                
+                col.innerHTML = `
+                    <div class="form-group">
+                        <label for="judge${i + 1}" class="form-label small mb-1">${this.escapeHtml(this.getJudgeName(i + 1))}</label>
+                        <div class="input-group input-group-sm">
+                            <input type="text" 
+                                   class="form-control form-control-sm judge-input" 
+                                   id="judge${i + 1}" 
+                                   placeholder="${placeholder}"
+                                   data-judge-id="${i + 1}"
+                                   inputmode="${inputMode}"
+                                   pattern="[0-9]*[.,]?[0-9]+"
+                                   ${i > 0 ? `data-previous="judge${i}"` : ''}
+                                   ${i < this.currentJudgeCount - 1 ? `data-next="judge${i + 2}"` : ''}>
+                            <span class="input-group-text input-group-text-sm">Pkt</span>
+                            <button type="button"
+                                    class="btn btn-outline-secondary judge-absent-toggle"
+                                    data-judge-id="${i + 1}"
+                                    title="Abwesend / Enthaltung">
+                                <i class="bi bi-person-x"></i>
+                            </button>
+                        </div>
+                        <div class="invalid-feedback small" id="feedback${i + 1}"></div>
+                    </div>
+                `;
+                
+                fragment.appendChild(col);
+            }
+            
+            // Append all at once to minimize reflows
+            container.appendChild(fragment);
+            
+            // Restore values after DOM is updated
+            Object.keys(currentValues).forEach(judgeId => {
+                const input = document.getElementById(judgeId);
+                if (input) {
+                    input.value = currentValues[judgeId];
+                    this.validateInput(input);
+                }
+            });
+
+            // Restore auto-saved data if available
+            this.restoreAutoSaveData();
+            
+            // Re-apply absences after the inputs were rebuilt
+            this.applyAbsentJudges();
+            this.updateBattleLabels();
+        });
+    }
+
+    /**
+     * Mark a judge as absent/abstaining for the current performance
+     * @param {number} seat - 1-based judge seat
+     * @param {boolean} absent - Whether the judge is absent
+     */
+    setJudgeAbsent(seat, absent) {
+        if (absent) {
+            this.absentJudges.add(seat);
+        } else {
+            this.absentJudges.delete(seat);
+        }
+
+        if (absent) {
+            document.querySelectorAll(`.judge-input[data-judge-id="${seat}"], .battle-input[data-judge-id="${seat}"]`).forEach(input => {
+                input.value = '';
+            });
+        }
+        this.applyAbsentJudges();
+        this.highlightStruckJudges([]);
+    }
+
+    /**
+     * Disable the inputs of absent judges and update the toggle buttons
+     */
+    applyAbsentJudges() {
+        document.querySelectorAll('.judge-input, .battle-input').forEach(input => {
+            const absent = this.absentJudges.has(parseInt(input.dataset.judgeId, 10));
+            input.disabled = absent;
+            input.classList.toggle('judge-absent', absent);
+            input.placeholder = absent ? 'abwesend' : this.getScoreRangeLabel().replace(/ /g, '');
+            if (absent) {
+                input.classList.remove('is-valid', 'is-invalid');
+            }
+        });
+
+        document.querySelectorAll('.battle-pick').forEach(input => {
+            const absent = this.absentJudges.has(parseInt(input.dataset.judgeId, 10));
+            input.disabled = absent;
+            if (absent) {
+                input.checked = false;
+            }
+        });
+
+        document.querySelectorAll('.judge-absent-toggle').forEach(toggle => {
+            const absent = this.absentJudges.has(parseInt(toggle.dataset.judgeId, 10));
+            toggle.classList.toggle('active', absent);
+            toggle.setAttribute('aria-pressed', String(absent));
+        });
+    }
+
+    restoreAutoSaveData() {
+        try {
+            const autoSaveData = localStorage.getItem('poetrySlamAutoSave');
+            if (autoSaveData) {
+                const data = JSON.parse(autoSaveData);
+                const now = Date.now();
+                const oneHour = 60 * 60 * 1000; // 1 Stunde
+
+                // Restore only if data is less than 1 hour old
+                if (now - data.timestamp < oneHour) {
+                    if (data.participantName) {
+                        document.getElementById('participantName').value = data.participantName;
+                    }
+                    
+                    if (Array.isArray(data.absentJudges)) {
+                        this.absentJudges = new Set(data.absentJudges.filter(seat => seat <= this.currentJudgeCount));
+                    }
+                    
+                    if (data.judgeScores) {
+                        Object.keys(data.judgeScores).forEach(judgeId => {
+                            const input = document.getElementById(judgeId);
+                            if (input) {
+                                input.value = data.judgeScores[judgeId];
+                                this.validateInput(input);
+                            }
+                        });
+                    }
+                } else {
+                    // Clear old auto-save data
+                    localStorage.removeItem('poetrySlamAutoSave');
+                }
+            }
+        } catch (e) {
+            console.warn('Auto-Save Wiederherstellung fehlgeschlagen:', e);
+        }
+    }
+
+    /**
+     * Load the last used jury and judge count from localStorage
+     * Events keep their own jury; this one is used for events without a jury.
+     */
+    loadJury() {
+        try {
+            const saved = localStorage.getItem('poetrySlamJury');
+            if (saved) {
+                this.applyJury(JSON.parse(saved));
+            }
+        } catch (error) {
+            this.handleError('Fehler beim Laden der Jury', error);
+        }
+    }
+
+    /**
+     * Use a saved jury
+     * @param {{judgeCount: number, seats: Array<{name: string, code: string}>}} data - Saved jury
+     */
+    applyJury(data) {
+        if (Array.isArray(data?.seats)) {
+            this.jury = data.seats.map(seat => ({ name: String(seat.name || ''), code: String(seat.code || '') }));
+        }
+        if (Number.isInteger(data?.judgeCount)) {
+            this.currentJudgeCount = Math.min(this.maxJudges, Math.max(this.minJudges, data.judgeCount));
+        }
+    }
+
+    /**
+     * Copy of the current jury for saving
+     * @returns {{judgeCount: number, seats: Array<{name: string, code: string}>}} Jury
+     */
+    getJuryData() {
+        return {
+            judgeCount: this.currentJudgeCount,
+            seats: this.jury.map(seat => ({ ...seat }))
+        };
+    }
+
+    /**
+     * Save the jury with the active event and as the last used jury
+     */
+    saveJury() {
+        try {
+            const event = this.getActiveEvent();
+            if (event) {
+                event.jury = this.getJuryData();
+                this.saveEvents();
+            }
+            localStorage.setItem('poetrySlamJury', JSON.stringify(this.getJuryData()));
+        } catch (error) {
+            this.handleError('Fehler beim Speichern der Jury', error);
+        }
+    }
+
+    /**
+     * Seats of the active jury, unnamed seats are filled with empty entries
+     * @param {number} [count] - Number of seats, defaults to the current judge count
+     * @returns {Array<{name: string, code: string}>} Jury seats in order
+     */
+    getJurySeats(count = this.currentJudgeCount) {
+        return Array.from({ length: count }, (_, index) => ({
+            name: this.jury[index]?.name || '',
+            code: this.jury[index]?.code || ''
+        }));
+    }
+
+    /**
+     * Display name of a judge seat
+     * @param {number} seat - 1-based judge seat
+     * @param {Array<{name: string, code: string}>} [judges] - Jury snapshot, defaults to the current jury
+     * @returns {string} Judge name or "Juror*in N"
+     */
+    getJudgeName(seat, judges = this.jury) {
+        return judges[seat - 1]?.name || `Juror*in ${seat}`;
+    }
+
+    /**
+     * Open the jury dialog with the current seats
+     */
+    showJuryEditor() {
+        try {
+            this.juryDraft = this.getJurySeats();
+            this.renderJuryEditor();
+
+            const juryModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('juryModal'));
+            juryModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen der Jury', error);
+        }
+    }
+
+    renderJuryEditor() {
+        const roster = document.getElementById('juryRoster');
+        if (!roster) {
+            return;
+        }
+
+        roster.innerHTML = this.juryDraft.map((judge, index) => `
+            <div class="input-group input-group-sm mb-1 jury-seat" data-seat-index="${index}">
+                <span class="input-group-text">${index + 1}</span>
+                <input type="text" class="form-control jury-name" placeholder="Juror*in ${index + 1}" value="${this.escapeHtml(judge.name)}">
+                <input type="text" class="form-control jury-code" placeholder="J${index + 1}" maxlength="4" value="${this.escapeHtml(judge.code)}" style="max-width: 5rem;">
+                <button type="button" class="btn btn-outline-secondary" data-move="-1" title="Nach oben" ${index === 0 ? 'disabled' : ''}>
+                    <i class="bi bi-arrow-up"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary" data-move="1" title="Nach unten" ${index === this.juryDraft.length - 1 ? 'disabled' : ''}>
+                    <i class="bi bi-arrow-down"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the name and code inputs of the jury dialog into the draft
+     */
+    readJuryEditor() {
+        document.querySelectorAll('#juryRoster .jury-seat').forEach(row => {
+            const index = parseInt(row.dataset.seatIndex, 10);
+            this.juryDraft[index] = {
+                name: row.querySelector('.jury-name').value.trim(),
+                code: row.querySelector('.jury-code').value.trim()
+            };
+        });
+    }
+
+    /**
+     * Handle the move buttons in the jury dialog
+     * @param {MouseEvent} e - Click event inside the roster
+     */
+    handleJuryRosterClick(e) {
+        const button = e.target.closest('[data-move]');
+        if (!button) {
+            return;
+        }
+
+        const index = parseInt(button.closest('.jury-seat').dataset.seatIndex, 10);
+        const target = index + parseInt(button.dataset.move, 10);
+        if (target < 0 || target >= this.juryDraft.length) {
+            return;
+        }
+
+        this.readJuryEditor();
+        [this.juryDraft[index], this.juryDraft[target]] = [this.juryDraft[target], this.juryDraft[index]];
+        this.renderJuryEditor();
+    }
+
+    saveJuryForm() {
+        this.readJuryEditor();
+        // Namen für Plätze über der aktuellen Anzahl bleiben für später erhalten
+        this.jury = [...this.juryDraft.map(judge => ({ ...judge })), ...this.jury.slice(this.juryDraft.length)];
+        this.saveJury();
+        this.generateJudgeInputs();
+
+        bootstrap.Modal.getInstance(document.getElementById('juryModal'))?.hide();
+        this.showNotification('Jury gespeichert', 'success');
+    }
+
+    addJudge() {
+        if (this.currentJudgeCount < this.maxJudges) {
+            this.currentJudgeCount++;
+            this.saveJury();
+            this.generateJudgeInputs();
+            this.updateJudgeCount();
+        } else {
+            this.showNotification('Maximale Anzahl Juror*innen erreicht', 'warning');
+        }
+    }
+
+    removeJudge() {
+        if (this.currentJudgeCount > this.minJudges) {
+            this.absentJudges.delete(this.currentJudgeCount);
+            this.currentJudgeCount--;
+            this.saveJury();
+            this.generateJudgeInputs();
+            this.updateJudgeCount();
+        } else {
+            this.showNotification('Minimale Anzahl Juror*innen erreicht', 'warning');
+        }
+    }
+
+    updateJudgeCount() {
+        document.getElementById('judgeCount').textContent = this.currentJudgeCount;
+    }
+
+    limitDecimalPlaces(input) {
+        let value = input.value;
+        
+        // Count decimal separators
+        const commaCount = (value.match(/,/g) || []).length;
+        const dotCount = (value.match(/\./g) || []).length;
+        
+        // Only process if there are issues with separators
+        if (commaCount > 1 || dotCount > 1 || (commaCount > 0 && dotCount > 0)) {
+            // If multiple separators of same type, keep only the first one
+            if (commaCount > 1) {
+                const firstComma = value.indexOf(',');
+                value = value.substring(0, firstComma + 1) + value.substring(firstComma + 1).replace(/,/g, '');
+            }
+            if (dotCount > 1) {
+                const firstDot = value.indexOf('.');
+                value = value.substring(0, firstDot + 1) + value.substring(firstDot + 1).replace(/\./g, '');
+            }
+            
+            // If both comma and dot are present, keep the last one
+            if (commaCount > 0 && dotCount > 0) {
+                const lastComma = value.lastIndexOf(',');
+                const lastDot = value.lastIndexOf('.');
+                
+                if (lastComma > lastDot) {
+                    // Keep comma, remove all dots
+                    value = value.replace(/\./g, '');
+                    value = value.replace(',', '.');
+                } else {
+                    // Keep dot, remove all commas
+                    value = value.replace(/,/g, '');
+                }
+            }
+        }
+        
+        // Convert comma to dot for consistency
+        if (value.includes(',')) {
+            value = value.replace(',', '.');
+        }
+        
+        // Limit to the decimal places of the configured step
+        if (value.includes('.')) {
+            const decimals = this.getScoreDecimals();
+            const parts = value.split('.');
+            if (parts[1].length > decimals) {
+                value = decimals > 0 ? parts[0] + '.' + parts[1].substring(0, decimals) : parts[0];
+            }
+        }
+        
+        // Only update if value actually changed
+        if (value !== input.value) {
+            input.value = value;
+        }
+    }
+
+    validateInput(input) {
+        let value = input.value;
+        
+        // For validation, we need to normalize the value to check if it's valid
+        // but we don't want to modify the input during typing
+        let normalizedValue = value;
+        
+        // Count decimal separators
+        const commaCount = (value.match(/,/g) || []).length;
+        const dotCount = (value.match(/\./g) || []).length;
+        
+        // Normalize for validation (convert comma to dot for parsing)
+        if (commaCount > 0) {
+            normalizedValue = value.replace(',', '.');
+        }
+        
+        input.classList.remove('is-valid', 'is-invalid');
+        
+        if (value === '') {
+            return false;
+        }
+        
+        // Check for too many decimal places in normalized value
+        const allowedDecimals = this.getScoreDecimals();
+        if (normalizedValue.includes('.') && normalizedValue.split('.')[1].replace(/0+$/, '').length > allowedDecimals) {
+            input.classList.add('is-invalid');
+            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
+            if (feedback) {
+                feedback.textContent = allowedDecimals === 0 ? 'Nur ganze Punkte erlaubt' : 'Maximal eine Nachkommastelle';
+            }
+            return false;
+        }
+        
+        // Check for multiple separators
+        if (commaCount > 1 || dotCount > 1 || (commaCount > 0 && dotCount > 0)) {
+            input.classList.add('is-invalid');
+            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
+            if (feedback) {
+                feedback.textContent = 'Nur ein Dezimaltrennzeichen erlaubt';
+            }
+            return false;
+        }
+        
+        const numValue = parseFloat(normalizedValue);
+        const { minScore, maxScore, scoreStep } = this.settings;
+        
+        if (isNaN(numValue) || numValue < minScore || numValue > maxScore) {
+            input.classList.add('is-invalid');
+            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
+            if (feedback) {
+                feedback.textContent = this.getScoreRangeLabel();
+            }
+            return false;
+        }
+        
+        // Check that the value lies on the configured step grid
+        if (!this.isOnStep(numValue - minScore, scoreStep)) {
+            input.classList.add('is-invalid');
+            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
+            if (feedback) {
+                feedback.textContent = `Nur Schritte von ${this.formatScore(scoreStep, this.countDecimals(scoreStep))} erlaubt`;
+            }
+            return false;
+        }
+        
+        input.classList.add('is-valid');
+        return true;
+    }
+
+    focusNextInput(currentInput) {
+        const nextId = currentInput.dataset.next;
+        if (nextId) {
+            const nextInput = document.getElementById(nextId);
+            if (nextInput && nextInput.disabled) {
+                // Abwesende Juror*innen überspringen
+                this.focusNextInput(nextInput);
+            } else if (nextInput) {
+                nextInput.focus();
+                nextInput.select();
+            }
+        } else {
+            // Wenn es das letzte Feld ist, fokussiere den Berechnen-Button
+            const calculateBtn = document.getElementById('calculateBtn');
+            if (calculateBtn) {
+                calculateBtn.focus();
+            }
+        }
+    }
+
+    focusPreviousInput(currentInput) {
+        const previousId = currentInput.dataset.previous;
+        if (previousId) {
+            const previousInput = document.getElementById(previousId);
+            if (previousInput && previousInput.disabled) {
+                // Abwesende Juror*innen überspringen
+                this.focusPreviousInput(previousInput);
+            } else if (previousInput) {
+                previousInput.focus();
+                previousInput.select();
+            }
+        } else {
+            // Wenn es das erste Feld ist, fokussiere das Teilnehmer-Name-Feld
+            const participantInput = document.getElementById('participantName');
+            if (participantInput) {
+                participantInput.focus();
+                participantInput.select();
+            }
+        }
+    }
+
+    getScores() {
+        const scores = [];
+        const inputs = document.querySelectorAll('.judge-input');
+        
+        for (let input of inputs) {
+            // Abwesende Juror*innen behalten ihren Platz ohne Wertung
+            if (this.absentJudges.has(parseInt(input.dataset.judgeId, 10))) {
+                scores.push(null);
+                continue;
+            }
+            
+            let value = input.value.trim();
+            if (value === '') {
+                return null; // Nicht alle Felder ausgefüllt
+            }
+            
+            if (!this.validateInput(input)) {
+                return null; // Ungültige Eingabe
+            }
+            
+            // Count decimal separators
+            const commaCount = (value.match(/,/g) || []).length;
+            const dotCount = (value.match(/\./g) || []).length;
+            
+            // Only allow one decimal separator
+            if (commaCount > 1 || dotCount > 1) {
+                // If multiple separators of same type, keep only the first one
+                if (commaCount > 1) {
+                    const firstComma = value.indexOf(',');
+                    value = value.substring(0, firstComma + 1) + value.substring(firstComma + 1).replace(/,/g, '');
+                }
+                if (dotCount > 1) {
+                    const firstDot = value.indexOf('.');
+                    value = value.substring(0, firstDot + 1) + value.substring(firstDot + 1).replace(/\./g, '');
+                }
+            }
+            
+            // If both comma and dot are present, remove the first one and keep the last one
+            if (commaCount > 0 && dotCount > 0) {
+                const lastComma = value.lastIndexOf(',');
+                const lastDot = value.lastIndexOf('.');
+                
+                if (lastComma > lastDot) {
+                    // Keep comma, remove all dots
+                    value = value.replace(/\./g, '');
+                    value = value.replace(',', '.');
+                } else {
+                    // Keep dot, remove all commas
+                    value = value.replace(/,/g, '');
+                }
+            } else if (commaCount > 0) {
+                // Only comma present, convert to dot
+                value = value.replace(',', '.');
+            }
+            
+            const numValue = parseFloat(value);
+            scores.push(numValue);
+        }
+        
+        return scores;
+    }
+
+    /**
+     * Get a scoring rule from the registry
+     * @param {string} [ruleId] - Rule ID, defaults to the configured rule
+     * @returns {Object} The scoring rule (falls back to the default rule)
+     */
+    getScoringRule(ruleId = this.settings.scoringRule) {
+        return SCORING_RULES[ruleId] || SCORING_RULES[DEFAULT_SCORING_RULE];
+    }
+
+    /**
+     * Fill the scoring rule select with all registered rules
+     */
+    renderScoringRuleOptions() {
+        const select = document.getElementById('scoringRule');
+        if (!select) {
+            return;
+        }
+
+        select.innerHTML = Object.entries(SCORING_RULES)
+            .map(([id, rule]) => `<option value="${id}">${rule.label}</option>`)
+            .join('');
+        select.value = this.settings.scoringRule;
+    }
+
+    /**
+     * Switch the active scoring rule and recalculate a shown result
+     * @param {string} ruleId - ID of a rule in SCORING_RULES
+     */
+    setScoringRule(ruleId) {
+        if (!SCORING_RULES[ruleId]) {
+            this.showNotification('Unbekannte Wertungsregel', 'error');
+            return;
+        }
+
+        this.settings.scoringRule = ruleId;
+        this.saveSettings();
+
+        if (this.currentResult) {
+            this.calculateScore();
+        }
+    }
+
+    /**
+     * Apply a scoring rule to a list of judge scores
+     * The judge seat (1-based position) of every score is kept, so results can
+     * show which judge's card was struck. Equal scores keep their seat order.
+     * Absent judges (null) are left out and the rule sees fewer judges.
+     * @param {Array<number|null>} scores - Scores in judge order, null for absent judges
+     * @param {string} [ruleId] - Rule ID, defaults to the configured rule
+     * @returns {{scoringRule: string, excludedScores: number[], includedScores: number[], excludedJudges: number[], includedJudges: number[], absentJudges: number[], totalScore: number}}
+     */
+    applyScoringRule(scores, ruleId = this.settings.scoringRule) {
+        const rule = this.getScoringRule(ruleId);
+        const cards = scores.map((score, index) => ({ seat: index + 1, score }));
+        const sortedCards = cards
+            .filter(card => card.score !== null)
+            .sort((a, b) => a.score - b.score);
+
+        // Never strike so many scores that nothing is left to count
+        const strikeCount = Math.max(0, Math.min(rule.strikeCount(sortedCards.length), Math.floor((sortedCards.length - 1) / 2)));
+        const includedCards = sortedCards.slice(strikeCount, sortedCards.length - strikeCount);
+        const excludedCards = [
+            ...sortedCards.slice(0, strikeCount),
+            ...sortedCards.slice(sortedCards.length - strikeCount)
+        ];
+        const includedScores = includedCards.map(card => card.score);
+
+        return {
+            scoringRule: SCORING_RULES[ruleId] ? ruleId : DEFAULT_SCORING_RULE,
+            excludedScores: excludedCards.map(card => card.score),
+            includedScores: includedScores,
+            excludedJudges: excludedCards.map(card => card.seat),
+            includedJudges: includedCards.map(card => card.seat),
+            absentJudges: cards.filter(card => card.score === null).map(card => card.seat),
+            totalScore: rule.aggregate(includedScores)
+        };
+    }
+
+    /**
+     * Short label for a judge seat, the judge's code or e.g. "J3"
+     * @param {number} seat - 1-based judge seat
+     * @param {Array<{name: string, code: string}>} [judges] - Jury snapshot, defaults to the current jury
+     * @returns {string} Judge label
+     */
+    getJudgeShortLabel(seat, judges = this.jury) {
+        return judges[seat - 1]?.code || `J${seat}`;
+    }
+
+    /**
+     * Escape text for safe use in HTML templates
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Mark the inputs of struck judges in the score form
+     * @param {number[]} excludedJudges - Seats of the struck judges (empty to clear)
+     */
+    highlightStruckJudges(excludedJudges) {
+        document.querySelectorAll('.judge-input').forEach(input => {
+            const seat = parseInt(input.dataset.judgeId, 10);
+            input.classList.toggle('judge-struck', excludedJudges.includes(seat));
+        });
+    }
+
+    /**
+     * Per-judge breakdown of an entry in judge order
+     * Entries saved before judge attribution existed have no seat information.
+     * @param {Object} entry - Result or history entry
+     * @returns {Array<{seat: number, score: number|null, struck: boolean, absent: boolean}>|null} Breakdown or null
+     */
+    getJudgeBreakdown(entry) {
+        if (!Array.isArray(entry.excludedJudges)) {
+            return null;
+        }
+
+        return entry.allScores.map((score, index) => ({
+            seat: index + 1,
+            score: score,
+            struck: entry.excludedJudges.includes(index + 1),
+            absent: score === null
+        }));
+    }
+
+    /**
+     * Format a score with German decimal comma
+     * @param {number} score - Score to format
+     * @param {number} [decimals] - Number of decimal places, defaults to the configured precision
+     * @returns {string} Formatted score
+     */
+    formatScore(score, decimals = this.settings.precision) {
+        return score.toFixed(decimals).replace('.', ',');
+    }
+
+    /**
+     * Get the display precision a result or history entry was saved with
+     * Entries saved before the precision was configurable used one decimal place
+     * @param {Object} entry - Result or history entry
+     * @returns {number} Number of decimal places
+     */
+    getEntryPrecision(entry) {
+        return entry.precision ?? 1;
+    }
+
+    /**
+     * Format all scores of an entry list with the entry's precision
+     * @param {Object} entry - Result or history entry
+     * @param {number[]} scores - Scores to format
+     * @param {string} separator - Separator between the scores
+     * @returns {string} Formatted scores
+     */
+    formatEntryScores(entry, scores, separator) {
+        return scores
+            .map(score => (score === null ? '–' : this.formatScore(score, this.getEntryPrecision(entry))))
+            .join(separator);
+    }
+
+    /**
+     * Count the decimal places of a number
+     * @param {number} value - Number to inspect
+     * @returns {number} Number of decimal places
+     */
+    countDecimals(value) {
+        const [, decimals = ''] = String(value).split('.');
+        return decimals.length;
+    }
+
+    /**
+     * Number of decimal places a judge may enter for the configured step
+     * @returns {number} Allowed decimal places
+     */
+    getScoreDecimals() {
+        return this.countDecimals(this.settings.scoreStep);
+    }
+
+    /**
+     * Check whether a value is a whole multiple of the step size
+     * @param {number} value - Value relative to the range minimum
+     * @param {number} step - Step size
+     * @returns {boolean} True if the value lies on the step grid
+     */
+    isOnStep(value, step) {
+        return Math.abs(Math.round(value / step) * step - value) < 1e-9;
+    }
+
+    /**
+     * Human readable score range, e.g. "1,0 - 10,0"
+     * @returns {string} Formatted range
+     */
+    getScoreRangeLabel() {
+        return `${this.formatScore(this.settings.minScore)} - ${this.formatScore(this.settings.maxScore)}`;
+    }
+
+    /**
+     * Get the scoring rule a result or history entry was calculated with
+     * Entries saved before scoring rules existed used the default rule
+     * @param {Object} entry - Result or history entry
+     * @returns {Object} The scoring rule
+     */
+    getEntryScoringRule(entry) {
+        return this.getScoringRule(entry.scoringRule || DEFAULT_SCORING_RULE);
+    }
+
+    /**
+     * Format the total of a result or history entry with the precision of its rule
+     * @param {Object} entry - Result or history entry
+     * @returns {string} Formatted total
+     */
+    formatTotal(entry) {
+        return this.formatScore(entry.totalScore, this.getEntryPrecision(entry) + this.getEntryScoringRule(entry).extraDecimals);
+    }
+
+    /**
+     * Compare two totals, ignoring floating point noise
+     * @param {number} a - First total
+     * @param {number} b - Second total
+     * @returns {number} Positive if b is higher, negative if a is higher, 0 if equal
+     */
+    compareTotals(a, b) {
+        return Math.round(b * 1000) - Math.round(a * 1000);
+    }
+
+    /**
+     * Compare two tied entries with the configured tie-breakers
+     * @param {Object} a - First entry
+     * @param {Object} b - Second entry
+     * @returns {{result: number, decidedBy: string|null}} Comparison result and deciding strategy
+     */
+    breakTie(a, b) {
+        for (const id of this.settings.tieBreakers) {
+            const tieBreaker = TIE_BREAKERS[id];
+            if (!tieBreaker) {
+                continue;
+            }
+
+            const result = this.compareTotals(tieBreaker.value(a), tieBreaker.value(b));
+            if (result !== 0) {
+                return { result, decidedBy: id };
+            }
+        }
+        return { result: 0, decidedBy: null };
+    }
+
+    /**
+     * Rank entries by total and resolve equal totals with the tie-breakers
+     * Entries that are still equal after all tie-breakers share a place.
+     * @param {Object[]} entries - History entries to rank
+     * @returns {Array<{entry: Object, place: number, tied: boolean, shared: boolean, decidedBy: string|null}>} Ranking rows
+     */
+    rankEntries(entries) {
+        const sorted = [...entries].sort((a, b) =>
+            this.compareTotals(a.totalScore, b.totalScore) || this.breakTie(a, b).result
+        );
+
+        const rows = sorted.map(entry => ({ entry, place: 0, tied: false, shared: false, decidedBy: null }));
+
+        rows.forEach((row, index) => {
+            const previous = rows[index - 1];
+            if (previous && this.compareTotals(previous.entry.totalScore, row.entry.totalScore) === 0) {
+                const { result, decidedBy } = this.breakTie(previous.entry, row.entry);
+                previous.tied = true;
+                row.tied = true;
+                row.decidedBy = decidedBy;
+                previous.decidedBy = previous.decidedBy || decidedBy;
+                if (result === 0) {
+                    previous.shared = true;
+                    row.shared = true;
+                    row.place = previous.place;
+                } else {
+                    row.place = index + 1;
+                }
+            } else {
+                row.place = index + 1;
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Seconds the current performance ran over the configured time
+     * Measured like the performance time from start, stop and pauses, so it
+     * stays right after a reload and once the timer is stopped. A timer that
+     * belongs to a run-sheet segment does not time a performance.
+     * @returns {number} Overrun in whole seconds (0 if in time or no timer used)
+     */
+    getTimerOverrun() {
+        if (this.timerDuration <= 0 || !this.timerStartTime || this.runSheetTimerSegmentId) {
+            return 0;
+        }
+
+        const stoppedAt = this.timerActive ? Date.now() : (this.timerStopTime ?? Date.now());
+        const elapsedSeconds = Math.floor(this.getTimerElapsedMs(stoppedAt) / 1000);
+        return Math.max(0, elapsedSeconds - this.timerDuration);
+    }
+
+    /**
+     * Measured timing of the current performance
+     * A timer that is still running counts until now.
+     * @returns {{startedAt: string, stoppedAt: string, performanceSeconds: number, pausedSeconds: number}} Timing for the history entry
+     */
+    getPerformanceTiming() {
+        const stoppedAt = this.timerActive ? Date.now() : (this.timerStopTime ?? Date.now());
+        const elapsedMs = this.getTimerElapsedMs(stoppedAt);
+        return {
+            startedAt: new Date(this.timerStartTime).toISOString(),
+            stoppedAt: new Date(stoppedAt).toISOString(),
+            performanceSeconds: Math.round(elapsedMs / 1000),
+            pausedSeconds: Math.round((stoppedAt - this.timerStartTime - elapsedMs) / 1000)
+        };
+    }
+
+    /**
+     * Format a timestamp of a performance as time of day
+     * @param {string} isoTimestamp - ISO timestamp
+     * @returns {string} e.g. "20:14:03"
+     */
+    formatPerformanceClock(isoTimestamp) {
+        return new Date(isoTimestamp).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    /**
+     * Measured performance time of an entry for list and table
+     * @param {Object} entry - History entry
+     * @returns {string} e.g. "05:48 (20:14:03–20:20:21, 00:30 Pause)", empty without measurement
+     */
+    formatPerformanceTiming(entry) {
+        if (!Number.isFinite(entry.performanceSeconds)) {
+            return '';
+        }
+
+        const pause = entry.pausedSeconds > 0 ? `, ${this.formatTimerDisplay(entry.pausedSeconds)} Pause` : '';
+        return `${this.formatTimerDisplay(entry.performanceSeconds)} (${this.formatPerformanceClock(entry.startedAt)}–${this.formatPerformanceClock(entry.stoppedAt)}${pause})`;
+    }
+
+    /**
+     * CSV columns of the measured performance time (as in CSV_HEADERS)
+     * @param {Object} entry - History entry
+     * @returns {Array} Start, end, duration and pauses
+     */
+    getPerformanceCsvColumns(entry) {
+        if (!Number.isFinite(entry.performanceSeconds)) {
+            return ['', '', '', ''];
+        }
+        return [
+            this.formatPerformanceClock(entry.startedAt),
+            this.formatPerformanceClock(entry.stoppedAt),
+            entry.performanceSeconds,
+            entry.pausedSeconds
+        ];
+    }
+
+    /**
+     * Calculate the time penalty for an overrun
+     * @param {number} overrunSeconds - Seconds over the configured time
+     * @param {Object} [penalty] - Penalty rule, defaults to the configured rule
+     * @returns {number} Points to deduct
+     */
+    calculateTimePenalty(overrunSeconds, penalty = this.settings.timePenalty) {
+        if (!penalty.enabled || overrunSeconds <= penalty.graceSeconds) {
+            return 0;
+        }
+
+        const startedIntervals = Math.ceil((overrunSeconds - penalty.graceSeconds) / penalty.perSeconds);
+        return startedIntervals * penalty.points;
+    }
+
+    /**
+     * Format the time penalty of an entry, keeping fractional penalty points visible
+     * @param {Object} entry - Result or history entry
+     * @returns {string} Formatted penalty, e.g. "-1,5"
+     */
+    formatTimePenalty(entry) {
+        const decimals = Math.max(this.getEntryPrecision(entry), this.countDecimals(entry.timePenalty));
+        return `-${this.formatScore(entry.timePenalty, decimals)}`;
+    }
+
+    calculateScore() {
+        try {
+            if (this.isBattleRound()) {
+                this.calculateBattle();
+                return;
+            }
+            
+            if (this.isAudienceRound()) {
+                this.calculateAudienceVote();
+                return;
+            }
+            
+            const scores = this.getScores();
+            
+            if (!scores) {
+                this.showNotification(`Bitte füllen Sie alle Felder mit gültigen Werten (${this.getScoreRangeLabel()}) aus`, 'error');
+                return;
+            }
+            
+            if (scores.filter(score => score !== null).length < this.minJudges) {
+                this.showNotification(`Mindestens ${this.minJudges} Wertungen erforderlich`, 'error');
+                return;
+            }
+
+            // Zeige Progress Bar
+            this.showProgressBar();
+
+            // Simuliere kurze Berechnungszeit für bessere UX
+            setTimeout(() => {
+                try {
+                    // Wende die gewählte Wertungsregel an
+                    const { scoringRule, excludedScores, includedScores, excludedJudges, includedJudges, absentJudges, totalScore } = this.applyScoringRule(scores);
+                    
+                    // Ziehe die Zeitstrafe für Überziehung ab
+                    const timeOverrunSeconds = this.getTimerOverrun();
+                    const timePenalty = this.calculateTimePenalty(timeOverrunSeconds);
+                    
+                    // Speichere das aktuelle Ergebnis
+                    this.currentResult = {
+                        scores: scores,
+                        scoringRule: scoringRule,
+                        precision: this.settings.precision,
+                        maxScore: this.settings.maxScore,
+                        excludedScores: excludedScores,
+                        includedScores: includedScores,
+                        excludedJudges: excludedJudges,
+                        includedJudges: includedJudges,
+                        absentJudges: absentJudges,
+                        judges: this.getJurySeats(scores.length),
+                        scoreBeforePenalty: totalScore,
+                        timePenalty: timePenalty,
+                        timeOverrunSeconds: timeOverrunSeconds,
+                        totalScore: Math.max(0, totalScore - timePenalty),
+                        participantName: document.getElementById('participantName')?.value?.trim() || 'Unbekannt'
+                    };
+                    
+                    // Im Teammodus: Team und auftretende Mitglieder merken
+                    if (this.isTeamMode()) {
+                        this.currentResult.teamId = this.getTeam(this.currentResult.participantName)?.id ?? null;
+                        this.currentResult.members = this.getPerformingMembers();
+                    }
+                    
+                    this.hideProgressBar();
+                    this.displayResult();
+            
+                } catch (error) {
+                    this.hideProgressBar();
+                    this.handleError('Fehler bei der Berechnung', error);
+                }
+            }, 500);
+        } catch (error) {
+            this.handleError('Fehler beim Starten der Berechnung', error);
+        }
+    }
+
+    showProgressBar() {
+        const progressBar = document.getElementById('progressBar');
+        const progressBarInner = progressBar.querySelector('.progress-bar');
+        
+        progressBar.style.display = 'block';
+        progressBarInner.style.width = '0%';
+        
+        // Animiere Progress Bar
+        setTimeout(() => {
+            progressBarInner.style.width = '100%';
+        }, 100);
+    }
+
+    hideProgressBar() {
+        const progressBar = document.getElementById('progressBar');
+        setTimeout(() => {
+            progressBar.style.display = 'none';
+        }, 300);
+    }
+
+    displayResult() {
+        if (!this.currentResult) return;
+        
+        // Bei schrittweiser Enthüllung beginnt jedes Ergebnis verdeckt
+        this.revealStep = this.settings.reveal.enabled ? 0 : null;
+        this.broadcastPresenterState();
+        
+        const resultCard = document.getElementById('resultCard');
+        const totalScoreElement = document.getElementById('totalScore');
+        const excludedScoresElement = document.getElementById('excludedScores');
+        const includedScoresElement = document.getElementById('includedScores');
+        const scoringRuleElement = document.getElementById('resultScoringRule');
+        
+        // Battle zeigt das Stimmenverhältnis statt der Punkte
+        const { type } = this.currentResult;
+        const headings = { battle: 'Battle', audience: 'Publikumswertung' };
+        document.getElementById('resultHeading').textContent = headings[type] || 'Gesamtpunktzahl';
+        document.getElementById('resultScoreDetails').style.display = type ? 'none' : '';
+        document.getElementById('resultBattleSplit').style.display = type === 'battle' ? 'block' : 'none';
+        document.getElementById('resultAudienceTally').style.display = type === 'audience' ? 'block' : 'none';
+        if (type === 'battle') {
+            this.displayBattleResult();
+            return;
+        }
+        if (type === 'audience') {
+            this.displayAudienceResult();
+            return;
+        }
+        
+        // Formatiere die Gesamtpunktzahl mit Komma
+        totalScoreElement.textContent = this.formatTotal(this.currentResult);
+        
+        if (scoringRuleElement) {
+            scoringRuleElement.textContent = this.getEntryScoringRule(this.currentResult).label;
+        }
+        
+        // Zeige die Zeitstrafe getrennt vom Wertungsergebnis
+        const penaltyElement = document.getElementById('resultTimePenalty');
+        if (penaltyElement) {
+            if (this.currentResult.timePenalty > 0) {
+                penaltyElement.innerHTML = `
+                    <i class="bi bi-stopwatch"></i>
+                    ${this.formatScore(this.currentResult.scoreBeforePenalty, this.getEntryPrecision(this.currentResult) + this.getEntryScoringRule(this.currentResult).extraDecimals)}
+                    <span class="fw-bold">${this.formatTimePenalty(this.currentResult)}</span> Zeitstrafe
+                    (${this.currentResult.timeOverrunSeconds} s über der Zeit)
+                `;
+                penaltyElement.style.display = 'block';
+            } else {
+                penaltyElement.style.display = 'none';
+            }
+        }
+        
+        // Zeige gestrichene Punkte mit Animation und Juror*in
+        const { excludedJudges, includedJudges, judges } = this.currentResult;
+        const judgeBadge = (score, seat, index, colorClass) => `
+            <span class="score-badge ${colorClass}" style="animation-delay: ${index * 0.1}s" title="${this.escapeHtml(this.getJudgeName(seat, judges))}">
+                <span class="judge-tag">${this.escapeHtml(this.getJudgeShortLabel(seat, judges))}</span>${this.formatScore(score, this.currentResult.precision)}
+            </span>`;
+        excludedScoresElement.innerHTML = this.currentResult.excludedScores.length > 0
+            ? this.currentResult.excludedScores
+                .map((score, index) => judgeBadge(score, excludedJudges[index], index, 'bg-danger'))
+                .join('')
+            : '<small class="text-muted">Keine</small>';
+        
+        // Zeige gewertete Punkte mit Animation und Juror*in
+        includedScoresElement.innerHTML = this.currentResult.includedScores
+            .map((score, index) => judgeBadge(score, includedJudges[index], index, 'bg-success'))
+            .join('');
+        
+        // Markiere die Eingabefelder der gestrichenen Juror*innen
+        this.highlightStruckJudges(excludedJudges);
+        
+        // Nenne Enthaltungen unter der Wertungsregel
+        if (scoringRuleElement && this.currentResult.absentJudges.length > 0) {
+            const absentNames = this.currentResult.absentJudges.map(seat => this.getJudgeName(seat, judges)).join(', ');
+            scoringRuleElement.textContent += ` · Enthaltung: ${absentNames}`;
+        }
+        this.renderReveal();
+        
+        resultCard.style.display = 'block';
+        resultCard.classList.add('fade-in');
+        
+        // Scroll to result
+        setTimeout(() => {
+            resultCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 300);
+    }
+
+    /**
+     * History entry for the current battle result
+     * @returns {Object} Battle history entry
+     */
+    createBattleEntry() {
+        const result = this.currentResult;
+        return {
+            id: Date.now(),
+            type: 'battle',
+            eventId: this.activeEventId,
+            roundId: this.getActiveRound()?.id,
+            timestamp: new Date().toLocaleString('de-DE'),
+            participantName: result.participantName,
+            opponentName: result.opponentName,
+            winner: result.winner,
+            decidedBy: result.decidedBy,
+            votesA: result.votesA,
+            votesB: result.votesB,
+            abstentions: result.abstentions,
+            pointsA: result.pointsA,
+            pointsB: result.pointsB,
+            voting: result.voting,
+            precision: result.precision,
+            votes: result.votes,
+            judges: result.judges
+        };
+    }
+
+    /**
+     * History entry for the current audience vote
+     * @returns {Object} Audience vote history entry
+     */
+    createAudienceEntry() {
+        const result = this.currentResult;
+        return {
+            id: Date.now(),
+            type: 'audience',
+            eventId: this.activeEventId,
+            roundId: this.getActiveRound()?.id,
+            timestamp: new Date().toLocaleString('de-DE'),
+            participantName: result.participantName,
+            method: result.method,
+            winners: result.winners,
+            tally: result.tally,
+            totalVotes: result.totalVotes,
+            ballots: result.ballots
+        };
+    }
+
+    saveAndReset() {
+        if (!this.currentResult) {
+            this.showNotification('Bitte führen Sie zuerst eine Berechnung durch', 'warning');
+            return;
+        }
+        
+        // Erstelle History-Eintrag
+        const entryFactories = {
+            battle: () => this.createBattleEntry(),
+            audience: () => this.createAudienceEntry()
+        };
+        const historyEntry = entryFactories[this.currentResult.type]?.() || {
+            id: Date.now(),
+            eventId: this.activeEventId,
+            roundId: this.getActiveRound()?.id,
+            timestamp: new Date().toLocaleString('de-DE'),
+            participantName: this.currentResult.participantName || 'Unbekannt',
+            warmup: Boolean(this.getActiveRound()?.warmup) && this.currentResult.participantName === this.getActiveRound().warmup,
+            totalScore: this.currentResult.totalScore,
+            scoringRule: this.currentResult.scoringRule,
+            precision: this.currentResult.precision,
+            maxScore: this.currentResult.maxScore,
+            scoreBeforePenalty: this.currentResult.scoreBeforePenalty,
+            timePenalty: this.currentResult.timePenalty,
+            timeOverrunSeconds: this.currentResult.timeOverrunSeconds,
+            excludedScores: this.currentResult.excludedScores,
+            includedScores: this.currentResult.includedScores,
+            excludedJudges: this.currentResult.excludedJudges,
+            includedJudges: this.currentResult.includedJudges,
+            absentJudges: this.currentResult.absentJudges,
+            judges: this.currentResult.judges,
+            allScores: this.currentResult.scores
+        };
+        
+        if (this.currentResult.members && !historyEntry.type) {
+            historyEntry.teamId = this.currentResult.teamId;
+            historyEntry.members = this.currentResult.members;
+        }
+        
+        // Add timer information if timer was used
+        // Ein Timer, der einem Programmpunkt gehört, misst keinen Auftritt
+        if (this.timerDuration > 0 && !this.runSheetTimerSegmentId && !historyEntry.type) {
+            historyEntry.timerUsed = true;
+            historyEntry.timerDuration = this.timerDuration;
+            historyEntry.timeRemaining = Math.max(0, this.timerRemaining);
+            historyEntry.timeOverrun = this.currentResult.timeOverrunSeconds > 0;
+        }
+        
+        // Gemessene Auftrittszeit (auch im Battle)
+        if (this.timerStartTime && !this.runSheetTimerSegmentId && historyEntry.type !== 'audience') {
+            Object.assign(historyEntry, this.getPerformanceTiming());
+        }
+        
+        // Füge zur History hinzu
+        this.history.unshift(historyEntry);
+        this.saveHistory();
+        this.displayHistory();
+        this.notifyTie(historyEntry);
+        this.updateBracket(true);
+        
+        // Reset (Enthaltungen gelten nur für einen Auftritt)
+        this.absentJudges.clear();
+        this.resetForm();
+        this.applyAbsentJudges();
+        this.currentResult = null;
+        this.revealStep = null;
+        this.presenterView = 'poet';
+        this.updatePresenterControls();
+        this.fillNextPerformer(true);
+        
+        // Stop timer and forget its values for the next performance
+        this.stopTimer();
+        this.resetTimerState();
+
+    }
+
+    /**
+     * Tell the operator when a saved entry ties with an earlier total
+     * @param {Object} entry - The newly saved history entry
+     */
+    notifyTie(entry) {
+        if (entry.warmup || entry.type) {
+            return;
+        }
+
+        const rows = this.rankEntries(this.getRankingEntries(this.getRoundHistory()));
+        const row = this.findRankingRow(rows, entry);
+        if (!row || !row.tied) {
+            return;
+        }
+
+        const opponents = rows
+            .filter(r => r !== row && this.compareTotals(r.entry.totalScore, row.entry.totalScore) === 0)
+            .map(r => r.entry.participantName)
+            .join(', ');
+        const decision = row.shared
+            ? `nicht auflösbar (geteilter Platz ${row.place})`
+            : `entschieden durch ${TIE_BREAKERS[row.decidedBy].label} (Platz ${row.place})`;
+
+        this.showNotification(`Gleichstand mit ${opponents} – ${decision}`, 'warning');
+    }
+
+    /**
+     * Label describing how a tie of a ranking row was resolved
+     * @param {Object} [row] - Row from rankEntries(), none for an earlier performance of the same participant
+     * @returns {string} Label or empty string if the entry is not tied
+     */
+    getTieBreakLabel(row) {
+        if (!row?.tied) {
+            return '';
+        }
+        return row.shared ? 'Gleichstand (geteilter Platz)' : `Stechen: ${TIE_BREAKERS[row.decidedBy].label}`;
+    }
+
+    resetForm() {
+        // Lösche alle Eingaben
+        document.querySelectorAll('.judge-input').forEach(input => {
+            input.value = '';
+            input.classList.remove('is-valid', 'is-invalid', 'auto-saved', 'auto-saving', 'judge-struck');
+        });
+        
+        document.querySelectorAll('.battle-input').forEach(input => {
+            input.value = '';
+            input.classList.remove('is-valid', 'is-invalid');
+        });
+        document.querySelectorAll('.battle-pick').forEach(input => {
+            input.checked = false;
+        });
+        document.querySelectorAll('.audience-input').forEach(input => {
+            input.value = '';
+            input.classList.remove('is-invalid');
+        });
+        
+        document.getElementById('participantName').value = '';
+        document.getElementById('participantName').classList.remove('auto-saved', 'auto-saving');
+        document.getElementById('opponentName').value = '';
+        
+        // Clear auto-save timeout
+        if (this.autoSaveTimeout) {
+            clearTimeout(this.autoSaveTimeout);
+            this.autoSaveTimeout = null;
+        }
+        
+        // Clear auto-save data
+        localStorage.removeItem('poetrySlamAutoSave');
+        
+        // Verstecke Ergebnis
+        document.getElementById('resultCard').style.display = 'none';
+        
+        // Fokussiere erstes Eingabefeld
+        const firstInput = document.querySelector('.judge-input');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+
+    loadHistory() {
+        try {
+            const saved = localStorage.getItem('poetrySlamHistory');
+            if (saved) {
+                this.history = JSON.parse(saved);
+            }
+        } catch (error) {
+            this.handleError('Fehler beim Laden der History', error);
+            this.history = [];
+        }
+        this.ensureActiveEvent();
+        this.renderEventSelect();
+        this.renderRoundSelect();
+        this.displayHistory();
+    }
+
+    saveHistory() {
+        try {
+            localStorage.setItem('poetrySlamHistory', JSON.stringify(this.history));
+        } catch (error) {
+            this.handleError('Fehler beim Speichern der History', error);
+        }
+    }
+
+    displayHistory() {
+        const noHistory = document.getElementById('noHistory');
+        
+        this.renderParticipantOptions();
+        
+        if (this.getRoundHistory().length === 0) {
+            this.showHistoryContainer(null);
+            noHistory.style.display = 'block';
+            return;
+        }
+        
+        noHistory.style.display = 'none';
+        this.showHistoryContainer(this.currentView);
+        
+        if (this.currentView === 'list') {
+            this.displayHistoryList();
+        } else if (this.currentView === 'table') {
+            this.displayHistoryTable();
+        } else {
+            this.displayHistoryRanking();
+        }
+    }
+
+    displayHistoryList() {
+        const historyList = document.getElementById('historyList');
+        const roundHistory = this.getRoundHistory();
+        const rows = this.rankEntries(this.getRankingEntries(roundHistory));
+        
+        historyList.innerHTML = roundHistory.map(entry => {
+            if (entry.type === 'battle') {
+                return this.renderBattleHistoryItem(entry);
+            }
+            if (entry.type === 'audience') {
+                return this.renderAudienceHistoryItem(entry);
+            }
+            
+            const row = this.findRankingRow(rows, entry);
+            const tieBreakLabel = row ? this.getTieBreakLabel(row) : '';
+            const tieInfo = tieBreakLabel ? `
+                <div class="tie-info mt-1">
+                    <small class="text-warning"><i class="bi bi-intersect"></i> ${tieBreakLabel}</small>
+                </div>
+            ` : '';
+
+            const timerInfo = entry.timerUsed ? `
+                <div class="timer-info mt-2">
+                    <small class="text-muted">
+                        <i class="bi bi-clock"></i> 
+                        ${(entry.timerDuration / 60).toFixed(1)}min Timer
+                        ${entry.timeOverrun ? 
+                            `<span class="text-danger">(Zeit ${entry.timeOverrunSeconds ? `um ${this.formatTimerDisplay(entry.timeOverrunSeconds)} ` : ''}überschritten)</span>` : 
+                            `<span class="text-success">(${Math.floor(entry.timeRemaining / 60)}:${(entry.timeRemaining % 60).toString().padStart(2, '0')} verbleibend)</span>`
+                        }
+                    </small>
+                </div>
+            ` : '';
+            const performanceInfo = this.renderPerformanceInfo(entry);
+            
+            const breakdown = this.getJudgeBreakdown(entry);
+            const judgeInfo = breakdown ? `
+                <div class="judge-breakdown mt-2">
+                    ${breakdown.map(judge => `
+                        <span class="judge-chip ${judge.struck ? 'struck' : ''} ${judge.absent ? 'absent' : ''}" title="${this.escapeHtml(this.getJudgeName(judge.seat, entry.judges || []))}${judge.struck ? ' (gestrichen)' : ''}${judge.absent ? ' (Enthaltung)' : ''}">
+                            ${this.escapeHtml(this.getJudgeShortLabel(judge.seat, entry.judges || []))} <strong>${judge.absent ? '–' : this.formatScore(judge.score, this.getEntryPrecision(entry))}</strong>
+                        </span>
+                    `).join('')}
+                </div>
+            ` : '';
+            
+            const penaltyInfo = entry.timePenalty > 0 ? `
+                <div class="penalty-info mt-1">
+                    <small class="text-danger">
+                        <i class="bi bi-stopwatch"></i> ${this.formatTimePenalty(entry)} Zeitstrafe (${entry.timeOverrunSeconds} s über der Zeit)
+                    </small>
+                </div>
+            ` : '';
+            
+            return `
+                <div class="history-item fade-in">
+                    <button class="btn btn-sm btn-outline-danger delete-btn" onclick="calculator.deleteHistoryEntry(${entry.id})" title="Eintrag löschen">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                    
+                    <div class="timestamp">${entry.timestamp}</div>
+                    <div class="participant-name">${this.escapeHtml(entry.participantName)}${entry.warmup ? ' <span class="badge bg-secondary">Opferlamm</span>' : ''}</div>
+                    ${entry.members?.length ? `<div class="team-members"><small class="text-muted"><i class="bi bi-people"></i> ${this.escapeHtml(entry.members.join(', '))}</small></div>` : ''}
+                    
+                    <div class="total-score">
+                        ${this.formatTotal(entry)}
+                    </div>
+                    <div class="scoring-rule"><small class="text-muted">${this.getEntryScoringRule(entry).label}</small></div>
+                    
+                    <div class="scores">
+                        <div class="excluded-scores">
+                            <small>Gestrichen</small>
+                            <div>${this.formatEntryScores(entry, entry.excludedScores, ' / ') || '–'}</div>
+                        </div>
+                        <div class="included-scores">
+                            <small>Gewertet</small>
+                            <div>${this.formatEntryScores(entry, entry.includedScores, ' / ')}</div>
+                        </div>
+                    </div>
+                    ${judgeInfo}
+                    ${penaltyInfo}
+                    ${tieInfo}
+                    ${timerInfo}
+                    ${performanceInfo}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * History list item of a battle
+     * @param {Object} entry - Battle history entry
+     * @returns {string} HTML
+     */
+    renderBattleHistoryItem(entry) {
+        const breakdown = entry.votes.map(vote => {
+            const side = vote.pick === 'a' ? entry.participantName : vote.pick === 'b' ? entry.opponentName : '–';
+            return `
+                <span class="judge-chip ${vote.absent ? 'absent' : ''}" title="${this.escapeHtml(this.getJudgeName(vote.seat, entry.judges || []))}">
+                    ${this.escapeHtml(this.getJudgeShortLabel(vote.seat, entry.judges || []))} <strong>${this.escapeHtml(side)}</strong>
+                </span>`;
+        }).join('');
+
+        return `
+            <div class="history-item fade-in">
+                <button class="btn btn-sm btn-outline-danger delete-btn" onclick="calculator.deleteHistoryEntry(${entry.id})" title="Eintrag löschen">
+                    <i class="bi bi-trash"></i>
+                </button>
+                
+                <div class="timestamp">${entry.timestamp}</div>
+                <div class="participant-name">${this.escapeHtml(entry.participantName)} vs. ${this.escapeHtml(entry.opponentName)}</div>
+                
+                <div class="total-score">
+                    ${this.formatBattleSplit(entry)}
+                </div>
+                <div class="scoring-rule"><small class="text-muted">${this.escapeHtml(this.getBattleWinnerLabel(entry))}</small></div>
+                
+                <div class="judge-breakdown mt-2">${breakdown}</div>
+                ${this.renderPerformanceInfo(entry)}
+            </div>
+        `;
+    }
+
+    /**
+     * Measured performance time in a history list item
+     * @param {Object} entry - History entry
+     * @returns {string} HTML (empty without measurement)
+     */
+    renderPerformanceInfo(entry) {
+        const timing = this.formatPerformanceTiming(entry);
+        return timing ? `
+            <div class="performance-info mt-1">
+                <small class="text-muted"><i class="bi bi-stopwatch"></i> Auftritt ${timing}</small>
+            </div>
+        ` : '';
+    }
+
+    /**
+     * History list item of an audience vote
+     * @param {Object} entry - Audience vote history entry
+     * @returns {string} HTML
+     */
+    renderAudienceHistoryItem(entry) {
+        return `
+            <div class="history-item fade-in">
+                <button class="btn btn-sm btn-outline-danger delete-btn" onclick="calculator.deleteHistoryEntry(${entry.id})" title="Eintrag löschen">
+                    <i class="bi bi-trash"></i>
+                </button>
+                
+                <div class="timestamp">${entry.timestamp}</div>
+                <div class="participant-name"><i class="bi bi-people"></i> Publikumswertung</div>
+                <div class="scoring-rule mb-2"><small class="text-muted">${this.escapeHtml(this.getAudienceWinnerLabel(entry))}</small></div>
+                
+                ${this.renderAudienceTally(entry)}
+            </div>
+        `;
+    }
+
+    displayHistoryTable() {
+        const historyTableBody = document.getElementById('historyTableBody');
+        
+        historyTableBody.innerHTML = this.getRoundHistory().map(entry => `
+            <tr class="fade-in">
+                <td><small>${entry.timestamp}</small></td>
+                <td>${entry.type === 'audience' ? '<i class="bi bi-people"></i> ' : ''}<strong>${this.escapeHtml(entry.participantName)}</strong>${entry.type === 'battle' ? ` vs. <strong>${this.escapeHtml(entry.opponentName)}</strong>` : ''}${entry.warmup ? ' <span class="badge bg-secondary">Opferlamm</span>' : ''}</td>
+                <td><span>${this.formatHistoryTableScore(entry)}</span></td>
+                <td><small title="${this.formatPerformanceTiming(entry)}">${Number.isFinite(entry.performanceSeconds) ? this.formatTimerDisplay(entry.performanceSeconds) : '–'}</small></td>
+                <td>
+                    <button class="btn btn-sm btn-outline-danger" onclick="calculator.deleteHistoryEntry(${entry.id})" title="Löschen">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Leaderboard of the active round
+     * Shared places are shown once per tied row, the places that advance
+     * to the next round are highlighted and the latest result is marked.
+     */
+    displayHistoryRanking() {
+        const historyRankingBody = document.getElementById('historyRankingBody');
+        const roundHistory = this.getRoundHistory();
+        const latestId = roundHistory[0]?.id;
+        const advanceCount = this.getActiveRound()?.advanceCount || 0;
+        
+        const warmups = roundHistory.filter(entry => entry.warmup);
+        const battles = roundHistory.filter(entry => entry.type === 'battle').reverse();
+        const audienceVote = roundHistory.find(entry => entry.type === 'audience');
+        
+        historyRankingBody.innerHTML = this.rankEntries(this.getRankingEntries(roundHistory)).map(row => {
+            const { entry } = row;
+            const isLatest = entry.id === latestId || Boolean(entry.entries?.some(e => e.id === latestId));
+            const teamInfo = entry.entries ? `
+                <br><small class="text-muted">${entry.entries.length} ${entry.entries.length === 1 ? 'Text' : 'Texte'}${entry.members.length ? ` · ${this.escapeHtml(entry.members.join(', '))}` : ''}</small>
+            ` : '';
+            const tieBreakLabel = this.getTieBreakLabel(row);
+            const classes = [
+                'fade-in',
+                row.place <= advanceCount ? 'ranking-advance' : '',
+                isLatest ? 'ranking-latest' : ''
+            ].filter(Boolean).join(' ');
+            
+            return `
+                <tr class="${classes}">
+                    <td class="ranking-place">${row.shared ? '=' : ''}${row.place}.</td>
+                    <td>
+                        <strong>${this.escapeHtml(entry.participantName)}</strong>${teamInfo}
+                        ${tieBreakLabel ? `<br><small class="text-warning"><i class="bi bi-intersect"></i> ${tieBreakLabel}</small>` : ''}
+                    </td>
+                    <td class="text-end"><span class="badge bg-success">${this.formatTotal(entry)}</span></td>
+                </tr>
+            `;
+        }).join('') + warmups.map(entry => `
+            <tr class="text-muted">
+                <td class="ranking-place">–</td>
+                <td>${this.escapeHtml(entry.participantName)} <span class="badge bg-secondary">Opferlamm</span></td>
+                <td class="text-end">${this.formatTotal(entry)}</td>
+            </tr>
+        `).join('') + battles.map(entry => `
+            <tr class="${entry.id === latestId ? 'ranking-latest' : ''}">
+                <td class="ranking-place"><i class="bi bi-lightning-charge"></i></td>
+                <td>
+                    <strong class="${entry.winner === 'a' ? 'text-success' : ''}">${this.escapeHtml(entry.participantName)}</strong>
+                    vs.
+                    <strong class="${entry.winner === 'b' ? 'text-success' : ''}">${this.escapeHtml(entry.opponentName)}</strong>
+                    <br><small class="text-muted">${this.escapeHtml(this.getBattleWinnerLabel(entry))}</small>
+                </td>
+                <td class="text-end"><span class="badge bg-primary">${this.formatBattleSplit(entry)}</span></td>
+            </tr>
+        `).join('') + (audienceVote ? audienceVote.tally.map(row => `
+            <tr class="${row.place <= (advanceCount || 1) ? 'ranking-advance' : ''}">
+                <td class="ranking-place">${row.place}.</td>
+                <td><strong>${this.escapeHtml(row.name)}</strong> <small class="text-muted"><i class="bi bi-people"></i> ${row.votes} ${AUDIENCE_METHODS[audienceVote.method].unit}</small></td>
+                <td class="text-end"><span class="badge bg-success">${this.formatScore(row.percent, 1)} %</span></td>
+            </tr>
+        `).join('') : '');
+    }
+
+    /**
+     * Score column of the history table for all entry types
+     * @param {Object} entry - History entry
+     * @returns {string} Formatted score
+     */
+    formatHistoryTableScore(entry) {
+        if (entry.type === 'battle') {
+            return this.formatBattleSplit(entry);
+        }
+        if (entry.type === 'audience') {
+            return `${this.formatScore(entry.tally[0].percent, 1)} %`;
         }
+        return this.formatTotal(entry);
     }
 
-    // Offline-Daten synchronisieren
-    async syncOfflineData() {
-        try {
-            const offlineData = localStorage.getItem('poetrySlamOfflineData');
-            if (offlineData) {
-                const data = JSON.parse(offlineData);
-                // Syncing offline data to server
-                
-                // Hier könnte die Synchronisation mit einem Server erfolgen
-                // await this.syncToServer(data);
-                
-                // Clear offline data after successful sync
-                localStorage.removeItem('poetrySlamOfflineData');
-        
-            }
-        } catch (error) {
-            console.error('Sync failed:', error);
-            this.showNotification('Synchronisation fehlgeschlagen', 'error');
-        }
+    deleteHistoryEntry(id) {
+        this.history = this.history.filter(entry => entry.id !== id);
+        this.saveHistory();
+        this.updateBracket();
+        this.displayHistory();
+
     }
 
-    showAutoSaveIndicator(input, state) {
-        input.classList.remove('auto-saved', 'auto-saving');
-        
-        if (state === 'saving') {
-            input.classList.add('auto-saving');
-        } else if (state === 'saved') {
-            input.classList.add('auto-saved');
-            setTimeout(() => {
-                input.classList.remove('auto-saved');
-            }, 2000);
+    clearHistory() {
+        if (confirm('Möchten Sie wirklich alle Ergebnisse dieser Runde löschen?')) {
+            const roundIds = new Set(this.getRoundHistory().map(entry => entry.id));
+            this.history = this.history.filter(entry => !roundIds.has(entry.id));
+            this.saveHistory();
+            this.updateBracket();
+            this.displayHistory();
+    
         }
     }
 
-    performAutoSave(input) {
-        // Simuliere Auto-Save (hier könnte später eine echte Speicherung erfolgen)
-        this.showAutoSaveIndicator(input, 'saved');
-        
-        // Optional: Speichere in localStorage für Wiederherstellung
-        const autoSaveData = {
-            participantName: document.getElementById('participantName').value,
-            judgeScores: this.getCurrentScores(),
-            timestamp: Date.now()
-        };
-        
-        try {
-            localStorage.setItem('poetrySlamAutoSave', JSON.stringify(autoSaveData));
-        } catch (e) {
-            console.warn('Auto-Save fehlgeschlagen:', e);
+    /**
+     * File name for exports of the active event
+     * @param {string} extension - File extension without dot
+     * @returns {string} File name, e.g. "poetry-slam-slam-im-keller-2025-03-12.csv"
+     */
+    getExportFileName(extension) {
+        const event = this.getActiveEvent();
+        if (!event) {
+            return `poetry-slam-history.${extension}`;
         }
+
+        const slug = event.name
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        return `poetry-slam-${slug || 'veranstaltung'}${event.date ? `-${event.date}` : ''}.${extension}`;
     }
 
-    getCurrentScores() {
-        const scores = {};
-        document.querySelectorAll('.judge-input').forEach(input => {
-            if (input.value.trim()) {
-                let value = input.value.trim();
-                
-                // Count decimal separators
-                const commaCount = (value.match(/,/g) || []).length;
-                const dotCount = (value.match(/\./g) || []).length;
-                
-                // Only allow one decimal separator
-                if (commaCount > 1 || dotCount > 1) {
-                    // If multiple separators of same type, keep only the first one
-                    if (commaCount > 1) {
-                        const firstComma = value.indexOf(',');
-                        value = value.substring(0, firstComma + 1) + value.substring(firstComma + 1).replace(/,/g, '');
-                    }
-                    if (dotCount > 1) {
-                        const firstDot = value.indexOf('.');
-                        value = value.substring(0, firstDot + 1) + value.substring(firstDot + 1).replace(/\./g, '');
-                    }
-                }
-                
-                // If both comma and dot are present, remove the first one and keep the last one
-                if (commaCount > 0 && dotCount > 0) {
-                    const lastComma = value.lastIndexOf(',');
-                    const lastDot = value.lastIndexOf('.');
-                    
-                    if (lastComma > lastDot) {
-                        // Keep comma, remove all dots
-                        value = value.replace(/\./g, '');
-                        value = value.replace(',', '.');
-                    } else {
-                        // Keep dot, remove all commas
-                        value = value.replace(/,/g, '');
-                    }
-                } else if (commaCount > 0) {
-                    // Only comma present, convert to dot
-                    value = value.replace(',', '.');
-                }
-                
-                scores[input.id] = value;
-            }
+    /**
+     * Team ranking of every round for the exports
+     * @param {Object[]} entries - History entries of the event
+     * @returns {Array<{round: string, place: number, team: string, total: string, pieces: number, members: string[]}>} Standings
+     */
+    getTeamStandings(entries) {
+        const event = this.getActiveEvent();
+        return event.rounds.flatMap(round => {
+            const roundEntries = entries.filter(entry => entry.roundId === round.id);
+            return this.rankEntries(this.getRankingEntries(roundEntries)).map(row => ({
+                round: round.name,
+                place: row.place,
+                team: row.entry.participantName,
+                total: this.formatTotal(row.entry),
+                pieces: row.entry.entries.length,
+                members: row.entry.members
+            }));
         });
-        return scores;
     }
 
-    generateJudgeInputs() {
-        const container = document.getElementById('judgeInputs');
-        
-        // Store current values before clearing
-        const currentValues = {};
-        document.querySelectorAll('.judge-input').forEach(input => {
-            if (input.value) {
-                currentValues[input.id] = input.value;
-            }
-        });
-        
-        // Use requestAnimationFrame for smoother DOM updates
-        requestAnimationFrame(() => {
-            container.innerHTML = '';
+    /**
+     * Join cells to a CSV row, quoting cells that contain the delimiter,
+     * quotes or line breaks
+     * @param {Array} cells - Cell values
+     * @returns {string} Row
+     */
+    toCsvRow(cells) {
+        return cells
+            .map(cell => (/[;"\n\r]/.test(String(cell)) ? `"${String(cell).replace(/"/g, '""')}"` : cell))
+            .join(';');
+    }
 
-            // Bestimme die Anzahl Spalten basierend auf Bildschirmgröße
-            const isMobile = window.innerWidth <= 768;
-            const isSmallMobile = window.innerWidth <= 576;
-            
-            let colClass = 'col-md-6 col-lg-4';
-            if (isSmallMobile) {
-                colClass = 'col-6';
-            } else if (isMobile) {
-                colClass = 'col-md-6';
-            }
+    /**
+     * CSV row of a battle (columns as in CSV_HEADERS)
+     * @param {Object} entry - Battle history entry
+     * @returns {string} Row
+     */
+    getBattleCsvRow(entry) {
+        const absent = entry.votes.filter(vote => vote.absent).map(vote => this.getJudgeName(vote.seat, entry.judges || []));
+        return this.toCsvRow([
+            entry.timestamp,
+            entry.participantName,
+            this.getEntryRoundName(entry),
+            '',
+            this.formatBattleSplit(entry),
+            `Battle (${BATTLE_VOTING[entry.voting].label})`,
+            '',
+            '',
+            '',
+            '',
+            '',
+            '',
+            absent.join(', '),
+            entry.opponentName,
+            this.getBattleWinnerName(entry) || 'Unentschieden',
+            '',
+            ...this.getPerformanceCsvColumns(entry)
+        ]);
+    }
 
-            // Create document fragment for better performance
-            const fragment = document.createDocumentFragment();
+    /**
+     * CSV row of a jury-scored performance (columns as in CSV_HEADERS)
+     * @param {Object} entry - History entry
+     * @returns {string} Row
+     */
+    getCsvRow(entry) {
+        return this.toCsvRow([
+            entry.timestamp,
+            entry.participantName,
+            this.getEntryRoundName(entry) + (entry.warmup ? ' (Opferlamm)' : ''),
+            (entry.members || []).join(', '),
+            this.formatTotal(entry),
+            this.getEntryScoringRule(entry).label,
+            entry.timePenalty > 0 ? this.formatTimePenalty(entry) : '',
+            entry.timeOverrunSeconds ?? '',
+            this.formatEntryScores(entry, entry.excludedScores, ', '),
+            this.formatEntryScores(entry, entry.includedScores, ', '),
+            this.formatEntryScores(entry, entry.allScores, ', '),
+            (entry.excludedJudges || []).map(seat => this.getJudgeName(seat, entry.judges || [])).join(', '),
+            (entry.absentJudges || []).map(seat => this.getJudgeName(seat, entry.judges || [])).join(', '),
+            '',
+            '',
+            '',
+            ...this.getPerformanceCsvColumns(entry)
+        ]);
+    }
 
-            for (let i = 0; i < this.currentJudgeCount; i++) {
-                const col = document.createElement('div');
-                col.className = colClass;
-                
-                col.innerHTML = `
-                    <div class="form-group">
-                        <label for="judge${i + 1}" class="form-label small mb-1">Juror*in ${i + 1}</label>
-                        <div class="input-group input-group-sm">
-                            <input type="text" 
-                                   class="form-control form-control-sm judge-input" 
-                                   id="judge${i + 1}" 
-                                   placeholder="1,0-10,0"
-                                   data-judge-id="${i + 1}"
-                                   inputmode="decimal"
-                                   pattern="[0-9]*[.,]?[0-9]+"
-                                   ${i > 0 ? `data-previous="judge${i}"` : ''}
-                                   ${i < this.currentJudgeCount - 1 ? `data-next="judge${i + 2}"` : ''}>
-                            <span class="input-group-text input-group-text-sm">Pkt</span>
-                        </div>
-                        <div class="invalid-feedback small" id="feedback${i + 1}"></div>
-                    </div>
-                `;
-                
-                fragment.appendChild(col);
-            }
-            
-            // Append all at once to minimize reflows
-            container.appendChild(fragment);
-            
-            // Restore values after DOM is updated
-            Object.keys(currentValues).forEach(judgeId => {
-                const input = document.getElementById(judgeId);
-                if (input) {
-                    input.value = currentValues[judgeId];
-                    this.validateInput(input);
+    /**
+     * CSV rows of an audience vote, one per participant (columns as in CSV_HEADERS)
+     * @param {Object} entry - Audience vote history entry
+     * @returns {string[]} Rows
+     */
+    getAudienceCsvRows(entry) {
+        const winners = entry.winners.join(', ');
+        return entry.tally.map(row => this.toCsvRow([
+            entry.timestamp,
+            row.name,
+            this.getEntryRoundName(entry),
+            '',
+            row.votes,
+            `Publikum: ${AUDIENCE_METHODS[entry.method].label}`,
+            '', '', '', '', '', '', '', '',
+            winners,
+            this.formatScore(row.percent, 1),
+            '', '', '', ''
+        ]));
+    }
+
+    exportCSV() {
+        const eventHistory = this.getEventHistory();
+        if (eventHistory.length === 0) {
+            this.showNotification('Keine Daten zum Exportieren vorhanden', 'warning');
+            return;
+        }
+
+        const csvContent = [
+            CSV_HEADERS.join(';'),
+            ...eventHistory.flatMap(entry => {
+                if (entry.type === 'battle') {
+                    return [this.getBattleCsvRow(entry)];
+                }
+                if (entry.type === 'audience') {
+                    return this.getAudienceCsvRows(entry);
                 }
+                return [this.getCsvRow(entry)];
+            })
+        ];
+
+        // Teamwertung als eigener Block unter den Einzelauftritten
+        if (this.isTeamMode()) {
+            csvContent.push('', ['Runde', 'Platz', 'Team', 'Gesamtpunktzahl', 'Texte', 'Mitglieder'].join(';'));
+            this.getTeamStandings(eventHistory).forEach(standing => {
+                csvContent.push(this.toCsvRow([standing.round, standing.place, standing.team, standing.total, standing.pieces, standing.members.join(', ')]));
             });
+        }
+
+        this.downloadFile(csvContent.join('\n'), this.getExportFileName('csv'), 'text/csv;charset=utf-8;');
 
-            // Restore auto-saved data if available
-            this.restoreAutoSaveData();
-        });
     }
 
-    restoreAutoSaveData() {
+    exportJSON() {
+        const eventHistory = this.getEventHistory();
+        if (eventHistory.length === 0) {
+            this.showNotification('Keine Daten zum Exportieren vorhanden', 'warning');
+            return;
+        }
+
+        const exportData = {
+            exportDate: new Date().toISOString(),
+            event: this.getActiveEvent(),
+            totalEntries: eventHistory.length,
+            data: eventHistory
+        };
+        if (this.isTeamMode()) {
+            exportData.teamStandings = this.getTeamStandings(eventHistory);
+        }
+
+        const jsonContent = JSON.stringify(exportData, null, 2);
+        this.downloadFile(jsonContent, this.getExportFileName('json'), 'application/json');
+
+    }
+
+    /**
+     * Open the import dialog
+     */
+    showImport() {
         try {
-            const autoSaveData = localStorage.getItem('poetrySlamAutoSave');
-            if (autoSaveData) {
-                const data = JSON.parse(autoSaveData);
-                const now = Date.now();
-                const oneHour = 60 * 60 * 1000; // 1 Stunde
+            this.importDraft = null;
+            document.getElementById('importFile').value = '';
+            this.renderImportPreview();
 
-                // Restore only if data is less than 1 hour old
-                if (now - data.timestamp < oneHour) {
-                    if (data.participantName) {
-                        document.getElementById('participantName').value = data.participantName;
-                    }
-                    
-                    if (data.judgeScores) {
-                        Object.keys(data.judgeScores).forEach(judgeId => {
-                            const input = document.getElementById(judgeId);
-                            if (input) {
-                                input.value = data.judgeScores[judgeId];
-                                this.validateInput(input);
-                            }
-                        });
-                    }
-                } else {
-                    // Clear old auto-save data
-                    localStorage.removeItem('poetrySlamAutoSave');
-                }
-            }
-        } catch (e) {
-            console.warn('Auto-Save Wiederherstellung fehlgeschlagen:', e);
+            const importModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal'));
+            importModal.show();
+        } catch (error) {
+            this.handleError('Fehler beim Anzeigen des Imports', error);
         }
     }
 
-    addJudge() {
-        if (this.currentJudgeCount < this.maxJudges) {
-            this.currentJudgeCount++;
-            this.generateJudgeInputs();
-            this.updateJudgeCount();
-        } else {
-            this.showNotification('Maximale Anzahl Juror*innen erreicht', 'warning');
+    /**
+     * Read the chosen file and show its preview
+     * @param {File} [file] - CSV or JSON file
+     */
+    async readImportFile(file) {
+        this.importDraft = null;
+        if (!file) {
+            this.renderImportPreview();
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            this.importDraft = this.parseImportFile(text, file.name);
+
+            // Eine exportierte Veranstaltung, die es hier noch nicht gibt, wird neu angelegt
+            const source = this.importDraft.sourceEvent;
+            document.getElementById('importAsEvent').checked = Boolean(source) &&
+                !this.events.some(event => event.name === source.name && event.date === source.date);
+        } catch (error) {
+            this.handleError('Die Datei konnte nicht gelesen werden', error);
         }
+        this.renderImportPreview();
     }
 
-    removeJudge() {
-        if (this.currentJudgeCount > this.minJudges) {
-            this.currentJudgeCount--;
-            this.generateJudgeInputs();
-            this.updateJudgeCount();
-        } else {
-            this.showNotification('Minimale Anzahl Juror*innen erreicht', 'warning');
+    /**
+     * Parse an exported or hand-made file
+     * @param {string} text - File content
+     * @param {string} fileName - File name (decides between CSV and JSON)
+     * @returns {{format: string, sourceEvent: Object|null, rows: Array<{line: number, roundName: string, sourceRoundId: number|null, entry: Object|null, error: string, note: string}>}} Parsed rows
+     */
+    parseImportFile(text, fileName) {
+        const content = text.replace(/^\uFEFF/, '');
+        const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(content);
+        return isJson ? this.parseJsonImport(content) : this.parseCsvImport(content);
+    }
+
+    /**
+     * Parse a JSON export (or a plain array of history entries)
+     * @param {string} text - File content
+     * @returns {Object} Parsed rows, see parseImportFile
+     */
+    parseJsonImport(text) {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : data?.data;
+        if (!Array.isArray(entries)) {
+            throw new Error('Die JSON-Datei enthält keine Einträge');
         }
+
+        const sourceEvent = !Array.isArray(data) && this.isImportableEvent(data.event) ? data.event : null;
+        const rows = entries.map((raw, index) => {
+            const round = sourceEvent?.rounds.find(r => r.id === raw?.roundId);
+            const row = { line: index + 1, roundName: round?.name || '', sourceRoundId: round?.id ?? null, entry: null, error: '', note: '' };
+
+            row.error = this.validateImportedEntry(raw);
+            if (!row.error) {
+                row.entry = this.normalizeImportedEntry(raw, row);
+            }
+            return row;
+        });
+
+        return { format: 'json', sourceEvent, rows };
     }
 
-    updateJudgeCount() {
-        document.getElementById('judgeCount').textContent = this.currentJudgeCount;
+    /**
+     * Check whether the event of a JSON export can be created as a new event
+     * @param {*} event - Event as read from the file
+     * @returns {boolean} True if name, rounds and teams have the expected shape
+     */
+    isImportableEvent(event) {
+        const isText = value => typeof value === 'string';
+        const isTextList = value => Array.isArray(value) && value.every(isText);
+        const isOptional = (value, check) => value === undefined || value === null || check(value);
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const isRound = round => isObject(round) && Number.isInteger(round.id) && isText(round.name) &&
+            isOptional(round.participants, isTextList) && isOptional(round.startOrder, isTextList) &&
+            isOptional(round.warmup, isText) && isOptional(round.advanceCount, Number.isInteger) &&
+            isOptional(round.advanceTo, Number.isInteger) &&
+            isOptional(round.matches, matches => Array.isArray(matches) && matches.every(isObject));
+        const isTeam = team => isObject(team) && isText(team.name) && isOptional(team.members, isTextList);
+
+        return isObject(event) && isText(event.name) && event.name.trim() !== '' &&
+            Array.isArray(event.rounds) && event.rounds.length > 0 && event.rounds.every(isRound) &&
+            isOptional(event.teams, teams => Array.isArray(teams) && teams.every(isTeam));
     }
 
-    limitDecimalPlaces(input) {
-        let value = input.value;
-        
-        // Count decimal separators
-        const commaCount = (value.match(/,/g) || []).length;
-        const dotCount = (value.match(/\./g) || []).length;
-        
-        // Only process if there are issues with separators
-        if (commaCount > 1 || dotCount > 1 || (commaCount > 0 && dotCount > 0)) {
-            // If multiple separators of same type, keep only the first one
-            if (commaCount > 1) {
-                const firstComma = value.indexOf(',');
-                value = value.substring(0, firstComma + 1) + value.substring(firstComma + 1).replace(/,/g, '');
+    /**
+     * Check an entry of a JSON file
+     * Every field the history reads is checked for type and range, so a
+     * broken file cannot break the history view after the import.
+     * @param {*} raw - Entry as read from the file
+     * @returns {string} Error message, empty if the entry is valid
+     */
+    validateImportedEntry(raw) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isSeat = value => Number.isInteger(value) && value >= 1 && value <= this.maxJudges;
+        const isName = value => typeof value === 'string' && value.trim() !== '';
+        const isList = (value, check) => Array.isArray(value) && value.every(check);
+        const isOptional = (value, check) => value === undefined || value === null || check(value);
+        const isScore = value => value === null || isNumber(value);
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return 'Kein gültiger Eintrag';
+        }
+        if (!isName(raw.participantName)) {
+            return 'Name fehlt';
+        }
+        // Wie in den Einstellungen höchstens zwei Nachkommastellen
+        if (!isOptional(raw.precision, value => Number.isInteger(value) && value >= 0 && value <= 2)) {
+            return 'Ungültige Nachkommastellen';
+        }
+        if (!isOptional(raw.judges, value => isList(value, judge => Boolean(judge) && typeof judge === 'object'))) {
+            return 'Ungültige Jury';
+        }
+        if (!isOptional(raw.performanceSeconds, isCount) || !isOptional(raw.pausedSeconds, isCount)) {
+            return 'Ungültige Auftrittsdauer';
+        }
+
+        if (raw.type === 'battle') {
+            const isVote = vote => Boolean(vote) && typeof vote === 'object' && isSeat(vote.seat) &&
+                [null, undefined, 'a', 'b'].includes(vote.pick) &&
+                isOptional(vote.scores, scores => isList(scores, isNumber) && scores.length === 2);
+
+            if (!isName(raw.opponentName)) {
+                return 'Gegner*in fehlt';
             }
-            if (dotCount > 1) {
-                const firstDot = value.indexOf('.');
-                value = value.substring(0, firstDot + 1) + value.substring(firstDot + 1).replace(/\./g, '');
+            if (!isCount(raw.votesA) || !isCount(raw.votesB) || !isOptional(raw.abstentions, isCount)) {
+                return 'Ungültiges Stimmverhältnis';
             }
-            
-            // If both comma and dot are present, keep the last one
-            if (commaCount > 0 && dotCount > 0) {
-                const lastComma = value.lastIndexOf(',');
-                const lastDot = value.lastIndexOf('.');
-                
-                if (lastComma > lastDot) {
-                    // Keep comma, remove all dots
-                    value = value.replace(/\./g, '');
-                    value = value.replace(',', '.');
-                } else {
-                    // Keep dot, remove all commas
-                    value = value.replace(/,/g, '');
-                }
+            if (!isOptional(raw.winner, value => value === 'a' || value === 'b')) {
+                return 'Ungültige*r Sieger*in';
             }
+            if (!isOptional(raw.pointsA, isNumber) || !isOptional(raw.pointsB, isNumber)) {
+                return 'Ungültige Punktsumme';
+            }
+            if (!isOptional(raw.votes, value => isList(value, isVote))) {
+                return 'Ungültige Juryentscheidung';
+            }
+            return '';
         }
-        
-        // Convert comma to dot for consistency
-        if (value.includes(',')) {
-            value = value.replace(',', '.');
-        }
-        
-        // Limit to one decimal place
-        if (value.includes('.')) {
-            const parts = value.split('.');
-            if (parts[1].length > 1) {
-                value = parts[0] + '.' + parts[1].substring(0, 1);
+
+        if (raw.type === 'audience') {
+            const isRow = row => Boolean(row) && typeof row === 'object' && isName(row.name) &&
+                isNumber(row.votes) && row.votes >= 0 && isOptional(row.percent, isNumber);
+
+            if (!Array.isArray(raw.tally) || raw.tally.length === 0 || !isList(raw.tally, isRow)) {
+                return 'Ungültige Publikumswertung';
+            }
+            if (!isOptional(raw.winners, value => isList(value, isName)) || !isOptional(raw.ballots, isCount)) {
+                return 'Ungültige Publikumswertung';
             }
+            return '';
         }
-        
-        // Only update if value actually changed
-        if (value !== input.value) {
-            input.value = value;
+
+        if (raw.type !== undefined) {
+            return `Unbekannter Eintragstyp "${raw.type}"`;
+        }
+        if (!isNumber(raw.totalScore)) {
+            return 'Gesamtpunktzahl fehlt oder ist keine Zahl';
+        }
+        if (![raw.allScores, raw.includedScores, raw.excludedScores].every(list => isOptional(list, value => isList(value, isScore)))) {
+            return 'Ungültige Wertung';
+        }
+        if (![raw.excludedJudges, raw.includedJudges, raw.absentJudges].every(list => isOptional(list, value => isList(value, isSeat)))) {
+            return 'Ungültige Jury-Zuordnung';
         }
+        if (![raw.timePenalty, raw.scoreBeforePenalty, raw.maxScore].every(value => isOptional(value, isNumber)) ||
+            !isOptional(raw.timeOverrunSeconds, isCount)) {
+            return 'Ungültige Zeitstrafe';
+        }
+        if (!isOptional(raw.members, value => isList(value, isName))) {
+            return 'Ungültige Teammitglieder';
+        }
+        return '';
     }
 
-    validateInput(input) {
-        let value = input.value;
-        
-        // For validation, we need to normalize the value to check if it's valid
-        // but we don't want to modify the input during typing
-        let normalizedValue = value;
-        
-        // Count decimal separators
-        const commaCount = (value.match(/,/g) || []).length;
-        const dotCount = (value.match(/\./g) || []).length;
-        
-        // Normalize for validation (convert comma to dot for parsing)
-        if (commaCount > 0) {
-            normalizedValue = value.replace(',', '.');
-        }
-        
-        input.classList.remove('is-valid', 'is-invalid');
-        
-        if (value === '') {
-            return false;
+    /**
+     * Rebuild a valid JSON entry from the fields the app knows
+     * Unknown fields and the IDs of the exporting device are left out.
+     * @param {Object} raw - Entry checked by validateImportedEntry
+     * @param {Object} row - Import row, receives notes about replaced values
+     * @returns {Object} Entry ready to be merged
+     */
+    normalizeImportedEntry(raw, row) {
+        const timestamp = this.getImportTimestamp(raw.timestamp, row);
+        const toText = value => (typeof value === 'string' ? value : '');
+        const judges = (raw.judges || []).map(judge => ({ name: toText(judge.name), code: toText(judge.code) }));
+
+        if (raw.type === 'audience') {
+            const method = AUDIENCE_METHODS[raw.method] ? raw.method : DEFAULT_AUDIENCE.method;
+            const { tally, totalVotes } = this.rankImportedTally(raw.tally.map(tallyRow => ({
+                name: tallyRow.name.trim(),
+                votes: tallyRow.votes,
+                percent: tallyRow.percent ?? null
+            })));
+            const winners = raw.winners
+                ? raw.winners.map(name => name.trim())
+                : tally.filter(tallyRow => tallyRow.place === 1).map(tallyRow => tallyRow.name);
+
+            return {
+                type: 'audience',
+                timestamp,
+                participantName: winners.join(', '),
+                method,
+                winners,
+                tally,
+                totalVotes,
+                ballots: raw.ballots ?? (method === 'count' ? totalVotes : 0)
+            };
         }
-        
-        // Check for multiple decimal places in normalized value
-        if (normalizedValue.includes('.') && normalizedValue.split('.')[1].length > 1) {
-            input.classList.add('is-invalid');
-            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
-            if (feedback) {
-                feedback.textContent = 'Maximal eine Nachkommastelle';
-            }
-            return false;
+
+        if (raw.type === 'battle') {
+            const votes = (raw.votes || []).map(vote => ({
+                seat: vote.seat,
+                pick: vote.pick ?? null,
+                scores: vote.scores ? [...vote.scores] : null,
+                absent: Boolean(vote.absent)
+            }));
+
+            return {
+                type: 'battle',
+                timestamp,
+                participantName: raw.participantName.trim(),
+                opponentName: raw.opponentName.trim(),
+                winner: raw.winner ?? null,
+                decidedBy: raw.decidedBy === 'majority' || BATTLE_TIE_RULES[raw.decidedBy] ? raw.decidedBy : 'draw',
+                votesA: raw.votesA,
+                votesB: raw.votesB,
+                abstentions: raw.abstentions ?? votes.filter(vote => !vote.pick).length,
+                pointsA: raw.pointsA ?? null,
+                pointsB: raw.pointsB ?? null,
+                voting: BATTLE_VOTING[raw.voting] ? raw.voting : DEFAULT_BATTLE.voting,
+                precision: raw.precision ?? this.settings.precision,
+                votes,
+                judges,
+                ...this.getImportedTiming(raw)
+            };
         }
-        
-        // Check for multiple separators
-        if (commaCount > 1 || dotCount > 1 || (commaCount > 0 && dotCount > 0)) {
-            input.classList.add('is-invalid');
-            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
-            if (feedback) {
-                feedback.textContent = 'Nur ein Dezimaltrennzeichen erlaubt';
-            }
-            return false;
+
+        const timePenalty = raw.timePenalty ?? 0;
+        const entry = {
+            timestamp,
+            participantName: raw.participantName.trim(),
+            warmup: raw.warmup === true,
+            totalScore: raw.totalScore,
+            scoringRule: SCORING_RULES[raw.scoringRule] ? raw.scoringRule : DEFAULT_SCORING_RULE,
+            precision: raw.precision ?? 1,
+            maxScore: raw.maxScore ?? this.settings.maxScore,
+            scoreBeforePenalty: raw.scoreBeforePenalty ?? raw.totalScore + timePenalty,
+            timePenalty,
+            timeOverrunSeconds: raw.timeOverrunSeconds ?? 0,
+            excludedScores: [...(raw.excludedScores || [])],
+            includedScores: [...(raw.includedScores || [])],
+            excludedJudges: [...(raw.excludedJudges || [])],
+            includedJudges: [...(raw.includedJudges || [])],
+            absentJudges: [...(raw.absentJudges || [])],
+            judges,
+            allScores: [...(raw.allScores || [])],
+            ...this.getImportedTiming(raw)
+        };
+
+        if (raw.members?.length > 0) {
+            entry.teamId = Number.isInteger(raw.teamId) ? raw.teamId : null;
+            entry.members = raw.members.map(name => name.trim());
         }
-        
-        const numValue = parseFloat(normalizedValue);
-        
-        if (isNaN(numValue) || numValue < 1.0 || numValue > 10.0) {
-            input.classList.add('is-invalid');
-            const feedback = document.getElementById(`feedback${input.dataset.judgeId}`);
-            if (feedback) {
-                feedback.textContent = '1,0 - 10,0';
-            }
-            return false;
+        if (raw.timerUsed === true && [raw.timerDuration, raw.timeRemaining].every(value => Number.isInteger(value) && value >= 0)) {
+            Object.assign(entry, {
+                timerUsed: true,
+                timerDuration: raw.timerDuration,
+                timeRemaining: raw.timeRemaining,
+                timeOverrun: raw.timeOverrun === true
+            });
         }
-        
-        input.classList.add('is-valid');
-        return true;
+        return entry;
     }
 
-    focusNextInput(currentInput) {
-        const nextId = currentInput.dataset.next;
-        if (nextId) {
-            const nextInput = document.getElementById(nextId);
-            if (nextInput) {
-                nextInput.focus();
-                nextInput.select();
-            }
-        } else {
-            // Wenn es das letzte Feld ist, fokussiere den Berechnen-Button
-            const calculateBtn = document.getElementById('calculateBtn');
-            if (calculateBtn) {
-                calculateBtn.focus();
-            }
+    /**
+     * Measured performance time of a JSON entry
+     * @param {Object} raw - Entry checked by validateImportedEntry
+     * @returns {Object} startedAt, stoppedAt, performanceSeconds and pausedSeconds, or nothing if incomplete
+     */
+    getImportedTiming(raw) {
+        const startedAt = new Date(raw.startedAt);
+        const stoppedAt = new Date(raw.stoppedAt);
+        const valid = [raw.startedAt, raw.stoppedAt].every(value => typeof value === 'string') &&
+            !isNaN(startedAt) && !isNaN(stoppedAt) && Number.isInteger(raw.performanceSeconds);
+        if (!valid) {
+            return {};
         }
+
+        return {
+            startedAt: startedAt.toISOString(),
+            stoppedAt: stoppedAt.toISOString(),
+            performanceSeconds: raw.performanceSeconds,
+            pausedSeconds: raw.pausedSeconds ?? 0
+        };
     }
 
-    focusPreviousInput(currentInput) {
-        const previousId = currentInput.dataset.previous;
-        if (previousId) {
-            const previousInput = document.getElementById(previousId);
-            if (previousInput) {
-                previousInput.focus();
-                previousInput.select();
-            }
-        } else {
-            // Wenn es das erste Feld ist, fokussiere das Teilnehmer-Name-Feld
-            const participantInput = document.getElementById('participantName');
-            if (participantInput) {
-                participantInput.focus();
-                participantInput.select();
+    /**
+     * Parse the CSV the app exports or a spreadsheet with the same column names
+     * Columns are found by their header, so missing or reordered columns work.
+     * The team standings block below the entries is skipped, it is derived
+     * from the entries again after the import.
+     * @param {string} text - File content
+     * @returns {Object} Parsed rows, see parseImportFile
+     */
+    parseCsvImport(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+        const [header = [], ...lines] = this.parseCsv(text, delimiter);
+
+        const columns = new Map();
+        header.forEach((name, index) => {
+            const key = name.trim().toLowerCase();
+            const column = CSV_IMPORT_ALIASES[key] || CSV_HEADERS.find(heading => heading.toLowerCase() === key);
+            if (column && !columns.has(column)) {
+                columns.set(column, index);
             }
+        });
+        if (!columns.has('Name') || !(columns.has('Gesamtpunktzahl') || columns.has('Alle Punkte'))) {
+            throw new Error('Die CSV-Datei braucht die Spalte "Name" und "Gesamtpunktzahl" oder "Alle Punkte"');
         }
-    }
 
-    getScores() {
-        const scores = [];
-        const inputs = document.querySelectorAll('.judge-input');
-        
-        for (let input of inputs) {
-            let value = input.value.trim();
-            if (value === '') {
-                return null; // Nicht alle Felder ausgefüllt
+        const rows = [];
+        const audienceRows = new Map();
+        for (const [index, cells] of lines.entries()) {
+            if (cells.every(cell => !cell.trim())) {
+                continue;
             }
-            
-            if (!this.validateInput(input)) {
-                return null; // Ungültige Eingabe
+            // Teamwertung unter den Einzelauftritten
+            if (cells[0]?.trim() === 'Runde' && cells[1]?.trim() === 'Platz') {
+                break;
             }
-            
-            // Count decimal separators
-            const commaCount = (value.match(/,/g) || []).length;
-            const dotCount = (value.match(/\./g) || []).length;
-            
-            // Only allow one decimal separator
-            if (commaCount > 1 || dotCount > 1) {
-                // If multiple separators of same type, keep only the first one
-                if (commaCount > 1) {
-                    const firstComma = value.indexOf(',');
-                    value = value.substring(0, firstComma + 1) + value.substring(firstComma + 1).replace(/,/g, '');
-                }
-                if (dotCount > 1) {
-                    const firstDot = value.indexOf('.');
-                    value = value.substring(0, firstDot + 1) + value.substring(firstDot + 1).replace(/\./g, '');
+
+            const cell = name => (columns.has(name) ? cells[columns.get(name)] ?? '' : '').trim();
+            const row = { line: index + 2, roundName: cell('Runde'), sourceRoundId: null, entry: null, error: '', note: '' };
+            const rule = cell('Wertungsregel');
+
+            if (rule.startsWith('Publikum')) {
+                // Eine Zeile je Teilnehmer*in, zusammen ergeben sie eine Publikumswertung
+                const key = `${cell('Datum')}|${row.roundName}|${rule}`;
+                if (!audienceRows.has(key)) {
+                    audienceRows.set(key, { row, rule, timestamp: cell('Datum'), winners: cell('Sieger*in'), tally: [] });
+                    rows.push(row);
                 }
-            }
-            
-            // If both comma and dot are present, remove the first one and keep the last one
-            if (commaCount > 0 && dotCount > 0) {
-                const lastComma = value.lastIndexOf(',');
-                const lastDot = value.lastIndexOf('.');
-                
-                if (lastComma > lastDot) {
-                    // Keep comma, remove all dots
-                    value = value.replace(/\./g, '');
-                    value = value.replace(',', '.');
-                } else {
-                    // Keep dot, remove all commas
-                    value = value.replace(/,/g, '');
+                const votes = this.parseImportNumber(cell('Gesamtpunktzahl'));
+                if (!cell('Name') || !Number.isFinite(votes)) {
+                    audienceRows.get(key).row.error = `Zeile ${row.line}: ungültige Publikumsstimmen`;
                 }
-            } else if (commaCount > 0) {
-                // Only comma present, convert to dot
-                value = value.replace(',', '.');
+                audienceRows.get(key).tally.push({ name: cell('Name'), votes, percent: this.parseImportNumber(cell('Publikum (%)')) });
+                continue;
             }
-            
-            const numValue = parseFloat(value);
-            scores.push(numValue);
+
+            const isBattle = rule.startsWith('Battle') || Boolean(cell('Gegner*in'));
+            row.error = isBattle ? this.parseCsvBattle(cell, row) : this.parseCsvPerformance(cell, row);
+            rows.push(row);
         }
-        
-        return scores;
-    }
 
-    calculateScore() {
-        try {
-            const scores = this.getScores();
-            
-            if (!scores) {
-                this.showNotification('Bitte füllen Sie alle Felder mit gültigen Werten (1,0 - 10,0) aus', 'error');
-                return;
+        audienceRows.forEach(group => {
+            if (!group.row.error) {
+                group.row.entry = this.createImportedAudienceEntry(group, group.row);
             }
+        });
+        return { format: 'csv', sourceEvent: null, rows };
+    }
 
-            // Zeige Progress Bar
-            this.showProgressBar();
-
-            // Simuliere kurze Berechnungszeit für bessere UX
-            setTimeout(() => {
-                try {
-                    // Sortiere die Scores
-                    const sortedScores = [...scores].sort((a, b) => a - b);
-                    
-                    // Entferne die kleinste und größte Zahl
-                    const excludedScores = [sortedScores[0], sortedScores[sortedScores.length - 1]];
-                    const includedScores = sortedScores.slice(1, -1);
-                    
-                    // Berechne die Summe der mittleren Werte
-                    const totalScore = includedScores.reduce((sum, score) => sum + score, 0);
-                    
-                    // Speichere das aktuelle Ergebnis
-                    this.currentResult = {
-                        scores: scores,
-                        excludedScores: excludedScores,
-                        includedScores: includedScores,
-                        totalScore: totalScore,
-                        participantName: document.getElementById('participantName')?.value?.trim() || 'Unbekannt'
-                    };
-                    
-                    this.hideProgressBar();
-                    this.displayResult();
-            
-                } catch (error) {
-                    this.hideProgressBar();
-                    this.handleError('Fehler bei der Berechnung', error);
+    /**
+     * Split CSV text into rows and cells
+     * Quoted cells may contain the delimiter, line breaks and doubled quotes.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Cell delimiter
+     * @returns {string[][]} Rows of cells
+     */
+    parseCsv(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
                 }
-            }, 500);
-        } catch (error) {
-            this.handleError('Fehler beim Starten der Berechnung', error);
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
         }
+        return rows;
     }
 
-    showProgressBar() {
-        const progressBar = document.getElementById('progressBar');
-        const progressBarInner = progressBar.querySelector('.progress-bar');
-        
-        progressBar.style.display = 'block';
-        progressBarInner.style.width = '0%';
-        
-        // Animiere Progress Bar
-        setTimeout(() => {
-            progressBarInner.style.width = '100%';
-        }, 100);
+    /**
+     * Parse a number with comma or dot as decimal separator
+     * @param {string} value - Cell value
+     * @returns {number|null} Number, null for an empty cell, NaN if invalid
+     */
+    parseImportNumber(value) {
+        const text = String(value).trim().replace(/\s/g, '');
+        if (!text) {
+            return null;
+        }
+        return /^[+\-−]?\d+([.,]\d+)?$/.test(text) ? Number(text.replace('−', '-').replace(',', '.')) : NaN;
     }
 
-    hideProgressBar() {
-        const progressBar = document.getElementById('progressBar');
-        setTimeout(() => {
-            progressBar.style.display = 'none';
-        }, 300);
+    /**
+     * Decimal places as written in a cell, so "8,0" keeps its decimal
+     * @param {string} value - Cell value, may hold a list of scores
+     * @returns {number} Highest number of digits after a decimal separator
+     */
+    countImportDecimals(value) {
+        return Math.max(0, ...(String(value).match(/[.,]\d+/g) || []).map(part => part.length - 1));
     }
 
-    displayResult() {
-        if (!this.currentResult) return;
-        
-        const resultCard = document.getElementById('resultCard');
-        const totalScoreElement = document.getElementById('totalScore');
-        const excludedScoresElement = document.getElementById('excludedScores');
-        const includedScoresElement = document.getElementById('includedScores');
-        
-        // Formatiere die Gesamtpunktzahl mit Komma
-        totalScoreElement.textContent = this.currentResult.totalScore.toFixed(1).replace('.', ',');
-        
-        // Zeige gestrichene Punkte mit Animation
-        excludedScoresElement.innerHTML = this.currentResult.excludedScores
-            .map((score, index) => `<span class="score-badge bg-danger" style="animation-delay: ${index * 0.1}s">${score.toFixed(1).replace('.', ',')}</span>`)
-            .join('');
-        
-        // Zeige gewertete Punkte mit Animation
-        includedScoresElement.innerHTML = this.currentResult.includedScores
-            .map((score, index) => `<span class="score-badge bg-success" style="animation-delay: ${index * 0.1}s">${score.toFixed(1).replace('.', ',')}</span>`)
-            .join('');
-        
-        resultCard.style.display = 'block';
-        resultCard.classList.add('fade-in');
-        
-        // Scroll to result
-        setTimeout(() => {
-            resultCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        }, 300);
+    /**
+     * Parse a list of scores, e.g. "8,5, 9,0, –" or "8.5 / 9 / 7.5"
+     * @param {string} value - Cell value
+     * @returns {Array<number|null>} Scores, null for an abstention, NaN if invalid
+     */
+    parseImportScores(value) {
+        if (!value) {
+            return [];
+        }
+        return value.split(/,\s+|\s*[/|]\s*/).map(score => (/^[–-]$/.test(score.trim()) ? null : this.parseImportNumber(score)));
     }
 
-    saveAndReset() {
-        if (!this.currentResult) {
-            this.showNotification('Bitte führen Sie zuerst eine Berechnung durch', 'warning');
-            return;
-        }
-        
-        // Erstelle History-Eintrag
-        const historyEntry = {
-            id: Date.now(),
-            timestamp: new Date().toLocaleString('de-DE'),
-            participantName: this.currentResult.participantName || 'Unbekannt',
-            totalScore: this.currentResult.totalScore,
-            excludedScores: this.currentResult.excludedScores,
-            includedScores: this.currentResult.includedScores,
-            allScores: this.currentResult.scores
-        };
-        
-        // Add timer information if timer was used
-        if (this.timerDuration > 0) {
-            historyEntry.timerUsed = true;
-            historyEntry.timerDuration = this.timerDuration;
-            historyEntry.timeRemaining = this.timerRemaining;
-            historyEntry.timeOverrun = this.timerRemaining <= 0;
+    /**
+     * Timestamp of an imported entry
+     * Only dates and times are taken over; anything else is replaced by the
+     * time of the import.
+     * @param {*} value - Date from the file
+     * @param {Object} row - Import row, receives a note if the date was replaced
+     * @returns {string} Timestamp as shown in the history
+     */
+    getImportTimestamp(value, row) {
+        if (typeof value === 'string' && /^[\d.,:/\- T]+$/.test(value.trim()) && /\d/.test(value)) {
+            return value.trim();
         }
-        
-        // Füge zur History hinzu
-        this.history.unshift(historyEntry);
-        this.saveHistory();
-        this.displayHistory();
-        
-        // Reset
-        this.resetForm();
-        this.currentResult = null;
-        
-        // Stop timer
-        this.stopTimer();
-        
+        this.addImportNote(row, 'Datum fehlt, Importzeitpunkt verwendet');
+        return new Date().toLocaleString('de-DE');
+    }
 
+    /**
+     * Add a note to an import row
+     * @param {Object} row - Import row
+     * @param {string} note - Note shown in the preview
+     */
+    addImportNote(row, note) {
+        row.note = row.note ? `${row.note} · ${note}` : note;
     }
 
-    resetForm() {
-        // Lösche alle Eingaben
-        document.querySelectorAll('.judge-input').forEach(input => {
-            input.value = '';
-            input.classList.remove('is-valid', 'is-invalid', 'auto-saved', 'auto-saving');
-        });
-        
-        document.getElementById('participantName').value = '';
-        document.getElementById('participantName').classList.remove('auto-saved', 'auto-saving');
-        
-        // Clear auto-save timeout
-        if (this.autoSaveTimeout) {
-            clearTimeout(this.autoSaveTimeout);
-            this.autoSaveTimeout = null;
+    /**
+     * Measured performance time from the CSV columns
+     * @param {Function} cell - Returns the value of a column
+     * @param {string} timestamp - Timestamp of the entry (gives the date)
+     * @returns {Object} startedAt, stoppedAt, performanceSeconds and pausedSeconds, or nothing if incomplete
+     */
+    parseImportTiming(cell, timestamp) {
+        const date = timestamp.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})/) || timestamp.match(/(\d{4})-(\d{2})-(\d{2})/);
+        const clock = value => value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        const start = clock(cell('Beginn'));
+        const end = clock(cell('Ende'));
+        const performanceSeconds = this.parseImportNumber(cell('Auftrittsdauer (s)'));
+        if (!date || !start || !end || !Number.isInteger(performanceSeconds)) {
+            return {};
         }
-        
-        // Clear auto-save data
-        localStorage.removeItem('poetrySlamAutoSave');
-        
-        // Verstecke Ergebnis
-        document.getElementById('resultCard').style.display = 'none';
-        
-        // Fokussiere erstes Eingabefeld
-        const firstInput = document.querySelector('.judge-input');
-        if (firstInput) {
-            firstInput.focus();
+
+        const [year, month, day] = date[1].length === 4 ? [date[1], date[2], date[3]] : [date[3], date[2], date[1]];
+        const toTime = ([, hours, minutes, seconds = 0]) => new Date(year, month - 1, day, hours, minutes, seconds);
+        const startedAt = toTime(start);
+        const stoppedAt = toTime(end);
+        // Auftritt über Mitternacht
+        if (stoppedAt < startedAt) {
+            stoppedAt.setDate(stoppedAt.getDate() + 1);
         }
+
+        return {
+            startedAt: startedAt.toISOString(),
+            stoppedAt: stoppedAt.toISOString(),
+            performanceSeconds,
+            pausedSeconds: this.parseImportNumber(cell('Pausen (s)')) || 0
+        };
     }
 
-    loadHistory() {
-        try {
-            const saved = localStorage.getItem('poetrySlamHistory');
-            if (saved) {
-                this.history = JSON.parse(saved);
+    /**
+     * Read a jury-scored performance from a CSV row
+     * Judge seats follow the order of "Alle Punkte"; struck scores are
+     * matched to the first seat with the same score.
+     * @param {Function} cell - Returns the value of a column
+     * @param {Object} row - Import row, receives the entry
+     * @returns {string} Error message, empty if the row is valid
+     */
+    parseCsvPerformance(cell, row) {
+        if (!cell('Name')) {
+            return 'Name fehlt';
+        }
+
+        let excludedScores = this.parseImportScores(cell('Gestrichene Punkte'));
+        let includedScores = this.parseImportScores(cell('Gewertete Punkte'));
+        let allScores = this.parseImportScores(cell('Alle Punkte'));
+        if (allScores.length === 0) {
+            allScores = [...includedScores, ...excludedScores];
+        }
+        if ([...allScores, ...includedScores, ...excludedScores].some(score => Number.isNaN(score))) {
+            return 'Ungültige Wertung';
+        }
+
+        const ruleLabel = cell('Wertungsregel');
+        let scoringRule = Object.keys(SCORING_RULES).find(id => SCORING_RULES[id].label === ruleLabel);
+        if (!scoringRule) {
+            scoringRule = DEFAULT_SCORING_RULE;
+            if (ruleLabel) {
+                this.addImportNote(row, `Wertungsregel "${ruleLabel}" unbekannt, ${SCORING_RULES[scoringRule].label} angenommen`);
             }
-        } catch (error) {
-            this.handleError('Fehler beim Laden der History', error);
-            this.history = [];
         }
-        this.displayHistory();
-    }
 
-    saveHistory() {
-        try {
-            localStorage.setItem('poetrySlamHistory', JSON.stringify(this.history));
-        } catch (error) {
-            this.handleError('Fehler beim Speichern der History', error);
+        const seats = allScores.map((score, index) => ({ seat: index + 1, score }));
+        let excludedJudges = excludedScores.map(score => {
+            const match = seats.find(seat => seat.score !== null && !seat.struck && this.compareTotals(seat.score, score) === 0);
+            if (!match) {
+                return null;
+            }
+            match.struck = true;
+            return match.seat;
+        }).filter(seat => seat !== null);
+        let includedJudges = seats.filter(seat => seat.score !== null && !seat.struck).map(seat => seat.seat);
+
+        const penalty = this.parseImportNumber(cell('Zeitstrafe'));
+        const timeOverrunSeconds = this.parseImportNumber(cell('Überziehung (s)'));
+        if (Number.isNaN(penalty) || Number.isNaN(timeOverrunSeconds)) {
+            return 'Ungültige Zeitstrafe';
+        }
+        const timePenalty = Math.abs(penalty || 0);
+        let totalScore = this.parseImportNumber(cell('Gesamtpunktzahl'));
+        if (totalScore === null && allScores.some(score => score !== null)) {
+            // Ohne Gesamtpunktzahl wird wie im Rechner gewertet
+            const computed = this.applyScoringRule(allScores, scoringRule);
+            ({ excludedScores, includedScores, excludedJudges, includedJudges } = computed);
+            totalScore = computed.totalScore - timePenalty;
+            this.addImportNote(row, 'Gesamtpunktzahl aus den Wertungen berechnet');
         }
+        if (!Number.isFinite(totalScore)) {
+            return 'Gesamtpunktzahl fehlt oder ist keine Zahl';
+        }
+
+        const scoreCells = ['Alle Punkte', 'Gewertete Punkte', 'Gestrichene Punkte'].map(name => cell(name)).join(' ');
+        const [roundName, warmupSuffix] = row.roundName.split(/ \((Opferlamm)\)$/);
+        const members = cell('Mitglieder').split(',').map(name => name.trim()).filter(Boolean);
+        const timestamp = this.getImportTimestamp(cell('Datum'), row);
+
+        row.roundName = roundName;
+        row.entry = {
+            timestamp,
+            participantName: cell('Name'),
+            warmup: Boolean(warmupSuffix),
+            totalScore,
+            scoringRule,
+            // Wie in den Einstellungen höchstens zwei Nachkommastellen
+            precision: Math.min(2, allScores.some(score => score !== null)
+                ? this.countImportDecimals(scoreCells)
+                : Math.max(0, this.countImportDecimals(cell('Gesamtpunktzahl')) - SCORING_RULES[scoringRule].extraDecimals)),
+            maxScore: this.settings.maxScore,
+            scoreBeforePenalty: totalScore + timePenalty,
+            timePenalty,
+            timeOverrunSeconds: timeOverrunSeconds || 0,
+            excludedScores,
+            includedScores,
+            excludedJudges,
+            includedJudges,
+            absentJudges: seats.filter(seat => seat.score === null).map(seat => seat.seat),
+            judges: [],
+            allScores,
+            ...(members.length > 0 ? { teamId: null, members } : {}),
+            ...this.parseImportTiming(cell, timestamp)
+        };
+        return '';
     }
 
-    displayHistory() {
-        const historyList = document.getElementById('historyList');
-        const historyTable = document.getElementById('historyTable');
-        const noHistory = document.getElementById('noHistory');
-        
-        if (this.history.length === 0) {
-            historyList.style.display = 'none';
-            historyTable.style.display = 'none';
-            noHistory.style.display = 'block';
-            return;
+    /**
+     * Read a battle from a CSV row
+     * The CSV only has the vote split, so the single votes are rebuilt in
+     * seat order: votes for A, votes for B, then the abstentions.
+     * @param {Function} cell - Returns the value of a column
+     * @param {Object} row - Import row, receives the entry
+     * @returns {string} Error message, empty if the row is valid
+     */
+    parseCsvBattle(cell, row) {
+        const participantName = cell('Name');
+        const opponentName = cell('Gegner*in');
+        if (!participantName || !opponentName) {
+            return 'Name oder Gegner*in fehlt';
         }
-        
-        noHistory.style.display = 'none';
-        
-        if (this.currentView === 'list') {
-            historyList.style.display = 'block';
-            historyTable.style.display = 'none';
-            this.displayHistoryList();
-        } else {
-            historyList.style.display = 'none';
-            historyTable.style.display = 'block';
-            this.displayHistoryTable();
+
+        const split = cell('Gesamtpunktzahl').match(/^(\d+)\s*:\s*(\d+)$/);
+        if (!split) {
+            return 'Ungültiges Stimmverhältnis';
+        }
+        const votesA = Number(split[1]);
+        const votesB = Number(split[2]);
+
+        const winnerName = cell('Sieger*in');
+        const winner = winnerName === participantName ? 'a' : winnerName === opponentName ? 'b' : null;
+        if (!winner && winnerName && winnerName !== 'Unentschieden') {
+            return `Sieger*in "${winnerName}" tritt nicht im Battle an`;
         }
+        if (votesA !== votesB && winner !== (votesA > votesB ? 'a' : 'b')) {
+            return 'Sieger*in passt nicht zum Stimmverhältnis';
+        }
+
+        const votingLabel = cell('Wertungsregel').match(/^Battle \((.*)\)$/)?.[1];
+        const voting = Object.keys(BATTLE_VOTING).find(id => BATTLE_VOTING[id].label === votingLabel) || DEFAULT_BATTLE.voting;
+        const absentNames = cell('Enthaltungen').split(',').map(name => name.trim()).filter(Boolean);
+        const picks = [...Array(votesA).fill('a'), ...Array(votesB).fill('b'), ...absentNames.map(() => null)];
+        const judges = picks.map((pick, index) => ({ name: pick ? '' : absentNames[index - votesA - votesB], code: '' }));
+
+        let decidedBy = 'draw';
+        if (votesA !== votesB) {
+            decidedBy = 'majority';
+        } else if (winner) {
+            decidedBy = voting === 'scores' ? 'totalPoints' : 'chairJudge';
+        }
+
+        const timestamp = this.getImportTimestamp(cell('Datum'), row);
+        row.entry = {
+            type: 'battle',
+            timestamp,
+            participantName,
+            opponentName,
+            winner,
+            decidedBy,
+            votesA,
+            votesB,
+            abstentions: absentNames.length,
+            pointsA: null,
+            pointsB: null,
+            voting,
+            precision: this.settings.precision,
+            votes: picks.map((pick, index) => ({ seat: index + 1, pick, scores: null, absent: !pick })),
+            judges,
+            ...this.parseImportTiming(cell, timestamp)
+        };
+        return '';
     }
 
-    displayHistoryList() {
-        const historyList = document.getElementById('historyList');
-        
-        historyList.innerHTML = this.history.map(entry => {
-            const timerInfo = entry.timerUsed ? `
-                <div class="timer-info mt-2">
-                    <small class="text-muted">
-                        <i class="bi bi-clock"></i> 
-                        ${(entry.timerDuration / 60).toFixed(1)}min Timer
-                        ${entry.timeOverrun ? 
-                            `<span class="text-danger">(Zeit überschritten)</span>` : 
-                            `<span class="text-success">(${Math.floor(entry.timeRemaining / 60)}:${(entry.timeRemaining % 60).toString().padStart(2, '0')} verbleibend)</span>`
-                        }
-                    </small>
-                </div>
-            ` : '';
-            
-            return `
-                <div class="history-item fade-in">
-                    <button class="btn btn-sm btn-outline-danger delete-btn" onclick="calculator.deleteHistoryEntry(${entry.id})" title="Eintrag löschen">
-                        <i class="bi bi-trash"></i>
-                    </button>
-                    
-                    <div class="timestamp">${entry.timestamp}</div>
-                    <div class="participant-name">${entry.participantName}</div>
-                    
-                    <div class="total-score">
-                        ${entry.totalScore.toFixed(1).replace('.', ',')}
-                    </div>
-                    
-                    <div class="scores">
-                        <div class="excluded-scores">
-                            <small>Gestrichen</small>
-                            <div>${entry.excludedScores.map(s => s.toFixed(1).replace('.', ',')).join(' / ')}</div>
-                        </div>
-                        <div class="included-scores">
-                            <small>Gewertet</small>
-                            <div>${entry.includedScores.map(s => s.toFixed(1).replace('.', ',')).join(' / ')}</div>
-                        </div>
-                    </div>
-                    ${timerInfo}
-                </div>
-            `;
-        }).join('');
+    /**
+     * Build an audience vote from its CSV rows
+     * @param {{rule: string, timestamp: string, winners: string, tally: Array<{name: string, votes: number, percent: number|null}>}} group - Rows of one vote
+     * @param {Object} row - Import row of the vote
+     * @returns {Object} Audience vote history entry
+     */
+    createImportedAudienceEntry(group, row) {
+        const label = group.rule.replace(/^Publikum:\s*/, '');
+        const method = Object.keys(AUDIENCE_METHODS).find(id => AUDIENCE_METHODS[id].label === label) || DEFAULT_AUDIENCE.method;
+        const { tally, totalVotes } = this.rankImportedTally(group.tally);
+        const winners = group.winners
+            ? group.winners.split(',').map(name => name.trim()).filter(Boolean)
+            : tally.filter(tallyRow => tallyRow.place === 1).map(tallyRow => tallyRow.name);
+
+        return {
+            type: 'audience',
+            timestamp: this.getImportTimestamp(group.timestamp, row),
+            participantName: winners.join(', '),
+            method,
+            winners,
+            tally,
+            totalVotes,
+            // Stimmzettel stehen nicht in der CSV, bei gezählten Stimmen ist jede Stimme einer
+            ballots: method === 'count' ? totalVotes : 0
+        };
     }
 
-    displayHistoryTable() {
-        const historyTableBody = document.getElementById('historyTableBody');
-        
-        historyTableBody.innerHTML = this.history.map(entry => `
-            <tr class="fade-in">
-                <td><small>${entry.timestamp}</small></td>
-                <td><strong>${entry.participantName}</strong></td>
-                <td><span>${entry.totalScore.toFixed(1).replace('.', ',')}</span></td>
-                <td>
-                    <button class="btn btn-sm btn-outline-danger" onclick="calculator.deleteHistoryEntry(${entry.id})" title="Löschen">
-                        <i class="bi bi-trash"></i>
-                    </button>
-                </td>
-            </tr>
-        `).join('');
+    /**
+     * Sort an imported tally and fill in missing percentages and places
+     * (same rules as tallyAudienceVotes)
+     * @param {Array<{name: string, votes: number, percent: number|null}>} rows - Tally rows
+     * @returns {{tally: Array<{name: string, votes: number, percent: number, place: number}>, totalVotes: number}} Ranked tally
+     */
+    rankImportedTally(rows) {
+        const totalVotes = rows.reduce((sum, row) => sum + row.votes, 0);
+        const tally = [...rows]
+            .sort((a, b) => b.votes - a.votes)
+            .map(row => ({
+                name: row.name,
+                votes: row.votes,
+                percent: Number.isFinite(row.percent) ? row.percent : (totalVotes > 0 ? row.votes / totalVotes * 100 : 0),
+                place: 0
+            }));
+        tally.forEach((row, index) => {
+            const previous = tally[index - 1];
+            row.place = previous && previous.votes === row.votes ? previous.place : index + 1;
+        });
+        return { tally, totalVotes };
     }
 
-    deleteHistoryEntry(id) {
-        this.history = this.history.filter(entry => entry.id !== id);
-        this.saveHistory();
-        this.displayHistory();
+    /**
+     * Key that identifies the same result in history and import
+     * @param {Object} entry - History entry
+     * @param {string} roundName - Name of the entry's round
+     * @returns {string} Key of round, date, names and score
+     */
+    getImportKey(entry, roundName) {
+        const score = {
+            battle: () => this.formatBattleSplit(entry),
+            audience: () => entry.tally.map(row => `${row.name}=${row.votes}`).join(',')
+        }[entry.type]?.() ?? Math.round(entry.totalScore * 1000);
+
+        return JSON.stringify([entry.type || 'score', roundName.trim().toLowerCase(), entry.timestamp, entry.participantName, entry.opponentName || '', score]);
+    }
+
+    /**
+     * Status of every row of the read file for the chosen target
+     * Rows already in the target event or earlier in the file are duplicates.
+     * @returns {Array<Object>} Import rows with `status` 'new', 'duplicate' or 'invalid'
+     */
+    getImportPlan() {
+        if (!this.importDraft) {
+            return [];
+        }
+
+        const asEvent = this.importDraft.sourceEvent && document.getElementById('importAsEvent').checked;
+        const known = new Set(asEvent ? [] : this.getEventHistory().map(entry => this.getImportKey(entry, this.getEntryRoundName(entry))));
 
+        return this.importDraft.rows.map(row => {
+            if (row.error) {
+                return { ...row, status: 'invalid' };
+            }
+
+            const key = this.getImportKey(row.entry, row.roundName);
+            if (known.has(key)) {
+                return { ...row, status: 'duplicate' };
+            }
+            known.add(key);
+            return { ...row, status: 'new' };
+        });
     }
 
-    clearHistory() {
-        if (confirm('Möchten Sie wirklich die gesamte History löschen?')) {
-            this.history = [];
-            this.saveHistory();
-            this.displayHistory();
-    
-        }
+    /**
+     * Render the preview table of the import dialog
+     */
+    renderImportPreview() {
+        const draft = this.importDraft;
+        const plan = this.getImportPlan();
+        const counts = { new: 0, duplicate: 0, invalid: 0 };
+        plan.forEach(row => counts[row.status]++);
+
+        document.getElementById('importEventOption').style.display = draft?.sourceEvent ? '' : 'none';
+        document.getElementById('importEventName').textContent = draft?.sourceEvent ? this.getEventLabel(draft.sourceEvent) : '';
+        document.getElementById('importSummary').textContent = draft
+            ? `${counts.new} neu · ${counts.duplicate} bereits vorhanden · ${counts.invalid} fehlerhaft`
+            : '';
+
+        const badges = {
+            new: '<span class="badge bg-success">Neu</span>',
+            duplicate: '<span class="badge bg-secondary">Duplikat</span>',
+            invalid: '<span class="badge bg-danger">Fehler</span>'
+        };
+        document.getElementById('importPreviewBody').innerHTML = plan.length > 0 ? plan.map(row => `
+            <tr class="${row.status === 'new' ? '' : 'text-muted'}">
+                <td>${badges[row.status]}</td>
+                <td><small>${row.line}</small></td>
+                <td><small>${this.escapeHtml(row.roundName)}</small></td>
+                <td>${row.entry ? this.escapeHtml(row.entry.type === 'audience' ? 'Publikumswertung' : row.entry.participantName) : ''}${row.entry?.type === 'battle' ? ` vs. ${this.escapeHtml(row.entry.opponentName)}` : ''}</td>
+                <td class="text-end">${row.entry ? this.formatHistoryTableScore(row.entry) : ''}</td>
+                <td><small class="${row.error ? 'text-danger' : ''}">${this.escapeHtml(row.error || row.note)}</small></td>
+            </tr>
+        `).join('') : `
+            <tr><td colspan="6" class="text-center text-muted small">${draft ? 'Keine Einträge gefunden' : 'CSV- oder JSON-Export auswählen'}</td></tr>
+        `;
+
+        const button = document.getElementById('confirmImport');
+        button.disabled = counts.new === 0;
+        button.textContent = counts.new > 0 ? `${counts.new === 1 ? '1 Eintrag' : `${counts.new} Einträge`} importieren` : 'Importieren';
     }
 
-    exportCSV() {
-        if (this.history.length === 0) {
-            this.showNotification('Keine Daten zum Exportieren vorhanden', 'warning');
-            return;
-        }
+    /**
+     * Merge the new rows of the preview into the history
+     * Rounds are matched by name and created if missing. With a JSON export
+     * the exported event can be created as a new event.
+     */
+    importHistory() {
+        try {
+            const draft = this.importDraft;
+            const plan = this.getImportPlan();
+            const newRows = plan.filter(row => row.status === 'new');
+            if (!draft || newRows.length === 0) {
+                return;
+            }
 
-        const headers = ['Datum', 'Name', 'Gesamtpunktzahl', 'Gestrichene Punkte', 'Gewertete Punkte', 'Alle Punkte'];
-        const csvContent = [
-            headers.join(';'),
-            ...this.history.map(entry => [
-                entry.timestamp,
-                entry.participantName,
-                entry.totalScore.toFixed(1).replace('.', ','),
-                entry.excludedScores.map(s => s.toFixed(1).replace('.', ',')).join(', '),
-                entry.includedScores.map(s => s.toFixed(1).replace('.', ',')).join(', '),
-                entry.allScores.map(s => s.toFixed(1).replace('.', ',')).join(', ')
-            ].join(';'))
-        ].join('\n');
+            let event = this.getActiveEvent();
+            const asEvent = draft.sourceEvent && document.getElementById('importAsEvent').checked;
+            if (asEvent) {
+                const source = draft.sourceEvent;
+                event = {
+                    ...this.createEvent({
+                        name: source.name.trim(),
+                        date: /^\d{4}-\d{2}-\d{2}$/.test(source.date) ? source.date : '',
+                        venue: String(source.venue ?? ''),
+                        host: String(source.host ?? ''),
+                        series: String(source.series ?? ''),
+                        teamMode: source.teamMode === true,
+                        teams: (source.teams || []).map((team, index) => ({
+                            id: Number.isInteger(team.id) ? team.id : index + 1,
+                            name: team.name,
+                            members: [...(team.members || [])]
+                        }))
+                    }),
+                    settings: this.normalizeSettings(source.settings || this.settings),
+                    rounds: source.rounds.map(round => {
+                        const imported = {
+                            ...this.createRound({ rounds: [] }, round.name.trim() || 'Runde', [...(round.participants || [])]),
+                            id: round.id,
+                            startOrder: [...(round.startOrder || [])],
+                            drawSeed: String(round.drawSeed ?? ''),
+                            warmup: round.warmup || '',
+                            mode: ['single', 'battle', 'audience'].includes(round.mode) ? round.mode : 'single',
+                            advanceCount: Math.max(0, round.advanceCount || 0),
+                            advanceTo: round.advanceTo ?? null
+                        };
+                        if (Array.isArray(round.matches)) {
+                            const toName = value => (typeof value === 'string' ? value : null);
+                            imported.matches = round.matches.map(match => ({
+                                a: toName(match.a),
+                                b: toName(match.b),
+                                bye: match.bye === true,
+                                ...(toName(match.winner) ? { winner: match.winner } : {})
+                            }));
+                            imported.bracketStage = Number.isInteger(round.bracketStage) ? round.bracketStage : 0;
+                        }
+                        return imported;
+                    }),
+                    activeRoundId: source.activeRoundId,
+                    // Nur Programmpunkte mit bekannter Art und Dauer
+                    runSheet: (Array.isArray(source.runSheet) ? source.runSheet : [])
+                        .filter(segment => segment && RUN_SHEET_SEGMENTS[segment.type] && Number.isInteger(segment.id) && Number.isFinite(segment.plannedMinutes))
+                        .map(segment => ({
+                            id: segment.id,
+                            type: segment.type,
+                            title: String(segment.title ?? ''),
+                            plannedMinutes: segment.plannedMinutes,
+                            roundId: Number.isInteger(segment.roundId) ? segment.roundId : null,
+                            startedAt: Number.isFinite(segment.startedAt) ? segment.startedAt : null,
+                            stoppedAt: Number.isFinite(segment.stoppedAt) ? segment.stoppedAt : null
+                        })),
+                    runSheetStart: /^\d{2}:\d{2}$/.test(source.runSheetStart) ? source.runSheetStart : ''
+                };
+                // Die Jury der exportierten Veranstaltung übernehmen
+                if (source.jury) {
+                    const jury = this.getJuryData();
+                    this.applyJury(source.jury);
+                    event.jury = this.getJuryData();
+                    this.applyJury(jury);
+                }
+                this.ensureRounds(event);
+                this.events.push(event);
+            }
 
-        this.downloadFile(csvContent, 'poetry-slam-history.csv', 'text/csv;charset=utf-8;');
+            let nextId = Math.max(Date.now(), ...this.history.map(entry => entry.id + 1));
+            let createdRounds = 0;
+            const entries = newRows.map(row => {
+                let round = asEvent && event.rounds.find(r => r.id === row.sourceRoundId);
+                round = round || event.rounds.find(r => r.name.trim().toLowerCase() === row.roundName.trim().toLowerCase());
+                if (!round && row.roundName) {
+                    round = this.createRound(event, row.roundName);
+                    event.rounds.push(round);
+                    createdRounds++;
+                }
+                round = round || event.rounds.find(r => r.id === event.activeRoundId);
 
-    }
+                return { ...row.entry, id: nextId++, eventId: event.id, roundId: round.id };
+            });
 
-    exportJSON() {
-        if (this.history.length === 0) {
-            this.showNotification('Keine Daten zum Exportieren vorhanden', 'warning');
-            return;
-        }
+            // Der Export ist wie die History sortiert (neueste zuerst), importierte Einträge gelten als älter
+            this.history.push(...entries);
+            this.saveHistory();
+            this.saveEvents();
 
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            totalEntries: this.history.length,
-            data: this.history
-        };
+            if (asEvent) {
+                this.setActiveEvent(event.id);
+            } else {
+                this.renderRoundSelect();
+                this.displayHistory();
+                this.updateBracket();
+            }
 
-        const jsonContent = JSON.stringify(exportData, null, 2);
-        this.downloadFile(jsonContent, 'poetry-slam-history.json', 'application/json');
+            const skipped = plan.length - newRows.length;
+            const details = [
+                createdRounds > 0 ? `${createdRounds} Runde(n) angelegt` : '',
+                skipped > 0 ? `${skipped} übersprungen` : ''
+            ].filter(Boolean).join(', ');
+            this.showNotification(`${entries.length === 1 ? '1 Eintrag' : `${entries.length} Einträge`} importiert${details ? ` (${details})` : ''}`, 'success');
 
+            this.importDraft = null;
+            bootstrap.Modal.getInstance(document.getElementById('importModal'))?.hide();
+        } catch (error) {
+            this.handleError('Fehler beim Importieren', error);
+        }
     }
 
     downloadFile(content, filename, mimeType) {
@@ -1459,7 +6812,10 @@ class PoetrySlamCalculator {
             errorCount: this.errorCount,
             errorLog: this.errorLog,
             historyLength: this.history.length,
+            eventCount: this.events.length,
+            activeEventId: this.activeEventId,
             currentJudgeCount: this.currentJudgeCount,
+            jury: this.jury,
             currentView: this.currentView,
             userAgent: navigator.userAgent,
             localStorage: {
@@ -1516,55 +6872,73 @@ class PoetrySlamCalculator {
     }
 
     // Timer Functions
-    startTimer() {
+    /**
+     * Start the timer
+     * @param {number} [minutes] - Duration, defaults to the value of the timer input
+     */
+    startTimer(minutes = parseFloat(document.getElementById('timerMinutes').value)) {
         try {
-            const minutes = parseFloat(document.getElementById('timerMinutes').value);
-            if (isNaN(minutes) || minutes < 0.5 || minutes > 60) {
-                this.showNotification('Bitte geben Sie eine gültige Zeit zwischen 0,5 und 60 Minuten ein', 'warning');
+            if (isNaN(minutes) || minutes < 0.5 || minutes > MAX_TIMER_MINUTES) {
+                this.showNotification(`Bitte geben Sie eine gültige Zeit zwischen 0,5 und ${MAX_TIMER_MINUTES} Minuten ein`, 'warning');
                 return;
             }
 
             this.timerDuration = minutes * 60; // Convert to seconds
             this.timerRemaining = this.timerDuration;
             this.timerStartTime = Date.now();
+            this.timerStopTime = null;
+            this.timerActive = true;
             this.timerPaused = false;
-            this.timerPauseTime = 0;
-
-            // Show timer container
-            document.getElementById('timerContainer').style.display = 'block';
-            
-            // Update button states
-            document.getElementById('startTimer').disabled = true;
-            document.getElementById('pauseTimer').style.display = 'inline-block';
-            document.getElementById('resumeTimer').style.display = 'none';
-            document.getElementById('stopTimer').disabled = false;
+            this.timerPauses = [];
+            this.timerOvertime = false;
+            // Ein neuer Start gehört keinem Programmpunkt, bis der Ablaufplan ihn übernimmt
+            this.runSheetTimerSegmentId = null;
+            this.skipPassedTimerWarnings();
 
-            // Start timer interval
-            this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+            this.showTimerControls();
             
-            // Initial update
+            // Initial update and start ticking
             this.updateTimer();
+            this.scheduleTimerTick();
+            this.saveTimerState();
             
-    
-            
-            // Play sound for timer start
-            this.playTimerSound('start');
+            // Play signal for timer start
+            this.playTimerSignal(this.settings.timerSignals.startSignal);
+            this.broadcastPresenterState();
             
         } catch (error) {
             this.handleError('Fehler beim Starten des Timers', error);
         }
     }
 
+    /**
+     * Show the timer display and set the control buttons for the current state
+     */
+    showTimerControls() {
+        // Show timer container
+        document.getElementById('timerContainer').style.display = 'block';
+        
+        // Update button states
+        document.getElementById('startTimer').disabled = true;
+        document.getElementById('pauseTimer').style.display = this.timerPaused ? 'none' : 'inline-block';
+        document.getElementById('resumeTimer').style.display = this.timerPaused ? 'inline-block' : 'none';
+        document.getElementById('stopTimer').disabled = false;
+    }
+
     pauseTimer() {
         try {
-            if (this.timerInterval && !this.timerPaused) {
-                clearInterval(this.timerInterval);
+            if (this.timerActive && !this.timerPaused) {
+                clearTimeout(this.timerTimeout);
+                this.timerTimeout = null;
+                this.timerPauses.push({ start: Date.now(), end: null });
                 this.timerPaused = true;
-                this.timerPauseTime = Date.now();
+                this.updateTimer();
+                this.saveTimerState();
                 
                 // Update button states
                 document.getElementById('pauseTimer').style.display = 'none';
                 document.getElementById('resumeTimer').style.display = 'inline-block';
+                this.broadcastPresenterState();
                 
                 this.showNotification('Timer pausiert', 'info');
             }
@@ -1575,20 +6949,19 @@ class PoetrySlamCalculator {
 
     resumeTimer() {
         try {
-            if (this.timerPaused) {
-                // Adjust start time for pause duration
-                const pauseDuration = Date.now() - this.timerPauseTime;
-                this.timerStartTime += pauseDuration;
-                
+            if (this.timerActive && this.timerPaused) {
+                // Close the running pause, elapsed time is computed without it
+                this.timerPauses[this.timerPauses.length - 1].end = Date.now();
                 this.timerPaused = false;
-                this.timerPauseTime = 0;
                 
-                // Restart timer interval
-                this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+                this.updateTimer();
+                this.scheduleTimerTick();
+                this.saveTimerState();
                 
                 // Update button states
                 document.getElementById('pauseTimer').style.display = 'inline-block';
                 document.getElementById('resumeTimer').style.display = 'none';
+                this.broadcastPresenterState();
                 
                 this.showNotification('Timer fortgesetzt', 'info');
             }
@@ -1600,17 +6973,25 @@ class PoetrySlamCalculator {
     stopTimer() {
         try {
             // Check if timer is actually running
-            const wasRunning = this.timerInterval !== null;
+            const wasRunning = this.timerActive;
             
-            if (this.timerInterval) {
-                clearInterval(this.timerInterval);
-                this.timerInterval = null;
+            if (this.timerActive) {
+                // Capture the final remaining time (negative in overtime) before stopping
+                this.updateTimer();
+                clearTimeout(this.timerTimeout);
+                this.timerTimeout = null;
+                this.timerActive = false;
+                this.timerStopTime = Date.now();
             }
             
-            // Reset timer state
-            this.timerRemaining = 0;
+            // Close an open pause, the remaining time stays for the history entry
+            if (this.timerPaused) {
+                this.timerPauses[this.timerPauses.length - 1].end = this.timerStopTime;
+            }
             this.timerPaused = false;
-            this.timerPauseTime = 0;
+            if (wasRunning) {
+                this.saveTimerState();
+            }
             
             // Hide timer container
             document.getElementById('timerContainer').style.display = 'none';
@@ -1623,9 +7004,11 @@ class PoetrySlamCalculator {
             
             // Remove warning/danger classes
             const timerDisplay = document.getElementById('timerDisplay');
-            timerDisplay.classList.remove('text-warning', 'text-danger', 'timer-warning', 'timer-danger');
+            timerDisplay.classList.remove('text-warning', 'text-danger', 'timer-warning', 'timer-danger', 'timer-overtime');
             timerDisplay.classList.add('text-primary');
             
+            this.broadcastPresenterState();
+            
             // Only show notification if timer was actually running
             if (wasRunning) {
                 this.showNotification('Timer gestoppt', 'info');
@@ -1636,29 +7019,150 @@ class PoetrySlamCalculator {
         }
     }
 
+    /**
+     * Clear the measured timer values after a performance was saved
+     */
+    resetTimerState() {
+        this.timerDuration = 0;
+        this.timerRemaining = 0;
+        this.timerStartTime = null;
+        this.timerStopTime = null;
+        this.timerPauses = [];
+        this.timerOvertime = false;
+        this.runSheetTimerSegmentId = null;
+        localStorage.removeItem('poetrySlamTimer');
+        this.broadcastPresenterState();
+    }
+
+    /**
+     * Persist the timer so a reload or crash doesn't lose the running clock
+     */
+    saveTimerState() {
+        try {
+            localStorage.setItem('poetrySlamTimer', JSON.stringify({
+                active: this.timerActive,
+                startTime: this.timerStartTime,
+                stopTime: this.timerStopTime,
+                duration: this.timerDuration,
+                paused: this.timerPaused,
+                pauses: this.timerPauses,
+                overtime: this.timerOvertime,
+                remaining: this.timerRemaining,
+                runSheetSegmentId: this.runSheetTimerSegmentId
+            }));
+        } catch (error) {
+            console.warn('Timer-Zustand konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Restore a persisted timer on startup
+     * A running timer continues from wall-clock time, a stopped one keeps its
+     * values until the result is saved.
+     */
+    restoreTimerState() {
+        try {
+            const saved = localStorage.getItem('poetrySlamTimer');
+            if (!saved) {
+                return;
+            }
+
+            const state = JSON.parse(saved);
+            if (!state.startTime || !state.duration) {
+                localStorage.removeItem('poetrySlamTimer');
+                return;
+            }
+
+            this.timerStartTime = state.startTime;
+            this.timerStopTime = state.stopTime ?? null;
+            this.timerDuration = state.duration;
+            this.timerPaused = Boolean(state.paused);
+            this.timerPauses = Array.isArray(state.pauses) ? state.pauses : [];
+            this.timerOvertime = Boolean(state.overtime);
+            this.timerRemaining = state.remaining ?? state.duration;
+            this.timerActive = Boolean(state.active);
+            this.runSheetTimerSegmentId = state.runSheetSegmentId ?? null;
+            this.skipPassedTimerWarnings();
+
+            if (this.timerActive) {
+                this.showTimerControls();
+                this.updateTimer();
+                this.scheduleTimerTick();
+                this.showNotification('Laufender Timer wiederhergestellt', 'info');
+            }
+        } catch (error) {
+            console.warn('Timer-Wiederherstellung fehlgeschlagen:', error);
+            localStorage.removeItem('poetrySlamTimer');
+        }
+    }
+
+    /**
+     * Update the timer immediately when the app returns from the background
+     * Browsers throttle or suspend timeouts in hidden tabs and backgrounded PWAs.
+     */
+    handleVisibilityChange() {
+        if (!document.hidden && this.timerActive && !this.timerPaused) {
+            this.updateTimer();
+            this.scheduleTimerTick();
+        }
+    }
+
+    /**
+     * Elapsed performance time without pauses
+     * @param {number} [now=Date.now()] - Reference timestamp
+     * @returns {number} Elapsed milliseconds
+     */
+    getTimerElapsedMs(now = Date.now()) {
+        if (!this.timerStartTime) {
+            return 0;
+        }
+
+        const pausedMs = this.timerPauses.reduce((sum, pause) => sum + ((pause.end ?? now) - pause.start), 0);
+        return Math.max(0, now - this.timerStartTime - pausedMs);
+    }
+
+    /**
+     * Schedule the next display update at the next full second of elapsed time
+     * Each tick is computed from wall-clock time, so late ticks never accumulate drift.
+     */
+    scheduleTimerTick() {
+        clearTimeout(this.timerTimeout);
+        this.timerTimeout = null;
+        if (!this.timerActive || this.timerPaused) {
+            return;
+        }
+
+        const delay = 1000 - (this.getTimerElapsedMs() % 1000) + 10;
+        this.timerTimeout = setTimeout(() => {
+            this.updateTimer();
+            this.scheduleTimerTick();
+        }, delay);
+    }
+
     updateTimer() {
         try {
-            if (!this.timerStartTime || this.timerPaused) return;
+            if (!this.timerStartTime) {
+                return;
+            }
             
-            const elapsed = Math.floor((Date.now() - this.timerStartTime) / 1000);
-            this.timerRemaining = Math.max(0, this.timerDuration - elapsed);
+            const elapsed = Math.floor(this.getTimerElapsedMs() / 1000);
+            // Keep counting into negative time once the configured duration is over
+            this.timerRemaining = this.timerDuration - elapsed;
             
             // Update display
-            const minutes = Math.floor(this.timerRemaining / 60);
-            const seconds = this.timerRemaining % 60;
-            const display = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            
-            document.getElementById('timerDisplay').textContent = display;
+            document.getElementById('timerDisplay').textContent = this.formatTimerDisplay(this.timerRemaining);
             
-            // Update progress bar
-            const progressPercent = (this.timerRemaining / this.timerDuration) * 100;
+            // Update progress bar (full bar in overtime)
+            const progressPercent = this.timerRemaining > 0 ? (this.timerRemaining / this.timerDuration) * 100 : 100;
             document.getElementById('timerProgress').style.width = `${progressPercent}%`;
             
             // Update visual states
             this.updateTimerVisualState();
+            this.signalTimerWarnings();
+            this.updateRunSheetStatus();
             
-            // Check if timer finished
-            if (this.timerRemaining <= 0) {
+            // Signal the end of the configured time once
+            if (this.timerRemaining <= 0 && !this.timerOvertime) {
                 this.timerFinished();
             }
             
@@ -1667,28 +7171,59 @@ class PoetrySlamCalculator {
         }
     }
 
+    /**
+     * Format remaining seconds as MM:SS, overtime with a leading minus
+     * @param {number} remainingSeconds - Remaining seconds (negative in overtime)
+     * @returns {string} Formatted time, e.g. "04:59" or "-00:12"
+     */
+    formatTimerDisplay(remainingSeconds) {
+        const absoluteSeconds = Math.abs(remainingSeconds);
+        const minutes = Math.floor(absoluteSeconds / 60);
+        const seconds = absoluteSeconds % 60;
+        const sign = remainingSeconds < 0 ? '-' : '';
+        return `${sign}${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Display state of the timer
+     * @param {number} remaining - Remaining seconds (negative in overtime)
+     * @param {Array<{seconds: number, level: string}>} warnings - Warning points
+     * @returns {string} 'normal', a key of TIMER_LEVELS or 'overtime'
+     */
+    getTimerLevel(remaining, warnings) {
+        if (remaining < 0) {
+            return 'overtime';
+        }
+
+        // Der zuletzt erreichte Warnpunkt bestimmt die Farbe
+        const reached = warnings
+            .filter(point => remaining <= point.seconds)
+            .sort((a, b) => a.seconds - b.seconds);
+        return reached[0]?.level || 'normal';
+    }
+
     updateTimerVisualState() {
         try {
             const timerDisplay = document.getElementById('timerDisplay');
             const progressBar = document.getElementById('timerProgress');
-            const remainingPercent = (this.timerRemaining / this.timerDuration) * 100;
+            const level = this.getTimerLevel(this.timerRemaining, this.settings.timerSignals.warnings);
             
             // Remove all state classes
-            timerDisplay.classList.remove('text-primary', 'text-warning', 'text-danger', 'timer-warning', 'timer-danger');
-            progressBar.classList.remove('bg-primary', 'bg-warning', 'bg-danger');
+            timerDisplay.classList.remove('text-primary', 'text-warning', 'text-danger', 'timer-warning', 'timer-danger', 'timer-overtime');
+            progressBar.classList.remove('bg-primary', 'bg-warning', 'bg-danger', 'progress-bar-striped', 'progress-bar-animated');
             
-            if (remainingPercent > 50) {
+            if (level === 'overtime') {
+                // Overtime state
+                timerDisplay.classList.add('text-danger', 'timer-overtime');
+                progressBar.classList.add('bg-danger', 'progress-bar-striped', 'progress-bar-animated');
+            } else if (level === 'normal') {
                 // Normal state
                 timerDisplay.classList.add('text-primary');
                 progressBar.classList.add('bg-primary');
-            } else if (remainingPercent > 20) {
-                // Warning state
-                timerDisplay.classList.add('text-warning', 'timer-warning');
-                progressBar.classList.add('bg-warning');
             } else {
-                // Danger state
-                timerDisplay.classList.add('text-danger', 'timer-danger');
-                progressBar.classList.add('bg-danger');
+                // Warning or danger state
+                timerDisplay.classList.add(`text-${level}`, `timer-${level}`);
+                progressBar.classList.add(`bg-${level}`);
             }
             
         } catch (error) {
@@ -1696,46 +7231,108 @@ class PoetrySlamCalculator {
         }
     }
 
+    /**
+     * Give the signal of each warning point once when it is reached
+     */
+    signalTimerWarnings() {
+        if (this.timerRemaining < 0) {
+            return;
+        }
+
+        this.settings.timerSignals.warnings.forEach(point => {
+            if (this.timerRemaining <= point.seconds && !this.timerSignalsGiven.has(point.seconds)) {
+                this.timerSignalsGiven.add(point.seconds);
+                this.playTimerSignal(point.signal);
+            }
+        });
+    }
+
+    /**
+     * Mark warning points as given that are already behind the timer
+     * A short timer or a restored one must not fire them all at once.
+     */
+    skipPassedTimerWarnings() {
+        const remaining = this.timerDuration - Math.floor(this.getTimerElapsedMs() / 1000);
+        this.timerSignalsGiven = new Set(this.settings.timerSignals.warnings
+            .filter(point => point.seconds >= remaining)
+            .map(point => point.seconds));
+    }
+
     timerFinished() {
         try {
-            // Stop timer
-            this.stopTimer();
+            // Keep the timer running so the overrun can be measured
+            this.timerOvertime = true;
+            this.saveTimerState();
             
             // Show notification
-            this.showNotification('Zeit ist abgelaufen!', 'warning');
+            this.showNotification('Zeit ist abgelaufen! Überziehung wird gezählt', 'warning');
             
-            // Play sound
-            this.playTimerSound('finish');
+            // Play signal
+            this.playTimerSignal(this.settings.timerSignals.finishSignal);
             
         } catch (error) {
             this.handleError('Fehler beim Timer-Ende', error);
         }
     }
 
-    playTimerSound(type) {
+    /**
+     * Play a timer signal
+     * In silent mode only vibration is used.
+     * @param {string} signalId - Key of TIMER_SIGNALS
+     * @param {boolean} [preview=false] - Play even in silent mode (settings dialog)
+     */
+    playTimerSignal(signalId, preview = false) {
+        const signal = TIMER_SIGNALS[signalId];
+        if (!signal) {
+            return;
+        }
+
         try {
-            // Create audio context for sound effects
-            if ('AudioContext' in window || 'webkitAudioContext' in window) {
-                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                
-                if (type === 'start') {
-                    // Play start sound (high beep)
-                    this.playBeep(audioContext, 800, 200);
-                } else if (type === 'finish') {
-                    // Play finish sound (low beep)
-                    this.playBeep(audioContext, 400, 500);
+            if (signal.vibrate && 'vibrate' in navigator) {
+                navigator.vibrate(signal.vibrate);
+            }
+            if (this.settings.timerSignals.silent && !preview) {
+                return;
+            }
+
+            if (signal.sample) {
+                new Audio(signal.sample).play().catch(() => {
+                    // Autoplay blocked or file missing, the timer keeps running
+                });
+            }
+            if (signal.tones) {
+                const audioContext = this.getAudioContext();
+                if (!audioContext) {
+                    return;
                 }
+
+                let delay = 0;
+                signal.tones.forEach(([frequency, duration, pause]) => {
+                    this.playBeep(audioContext, frequency, duration, delay);
+                    delay += duration + pause;
+                });
             }
         } catch (error) {
-            // Silently fail if audio is not supported
             // Audio not supported in this browser
         }
     }
 
-    playBeep(audioContext, frequency, duration) {
+    /**
+     * Shared audio context, created on first use
+     * @returns {AudioContext|null} Audio context or null if unsupported
+     */
+    getAudioContext() {
+        if (!this.audioContext && ('AudioContext' in window || 'webkitAudioContext' in window)) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        return this.audioContext;
+    }
+
+    playBeep(audioContext, frequency, duration, delay = 0) {
         try {
             const oscillator = audioContext.createOscillator();
             const gainNode = audioContext.createGain();
+            const start = audioContext.currentTime + delay / 1000;
             
             oscillator.connect(gainNode);
             gainNode.connect(audioContext.destination);
@@ -1743,16 +7340,308 @@ class PoetrySlamCalculator {
             oscillator.frequency.value = frequency;
             oscillator.type = 'sine';
             
-            gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + duration / 1000);
+            gainNode.gain.setValueAtTime(0.1, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration / 1000);
             
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + duration / 1000);
+            oscillator.start(start);
+            oscillator.stop(start + duration / 1000);
         } catch (error) {
             // Beep audio playback failed silently
         }
     }
 
+    // Presenter Functions
+
+    /**
+     * Open the channel to the presenter window
+     * A presenter window that (re)connects asks for the current state.
+     */
+    setupPresenterChannel() {
+        if (!('BroadcastChannel' in window)) {
+            return;
+        }
+
+        this.presenterChannel = new BroadcastChannel(PRESENTER_CHANNEL);
+        this.presenterChannel.onmessage = (event) => {
+            if (event.data?.type === 'hello') {
+                // Der Countdown für die Bühne braucht keine Bildschirmwahl
+                if (event.data.mode !== 'countdown') {
+                    document.getElementById('presenterControls').style.display = '';
+                }
+                this.broadcastPresenterState();
+            } else if (event.data?.type === 'revealNext') {
+                this.advanceReveal();
+            }
+        };
+    }
+
+    /**
+     * Open a presenter window
+     * 'stage' is the audience view for the projector, 'countdown' the
+     * timer-only view for the poets on stage.
+     * @param {string} mode - 'stage' or 'countdown'
+     */
+    openPresenter(mode) {
+        try {
+            if (!this.presenterChannel) {
+                this.showNotification('Die Beamer-Ansicht wird von diesem Browser nicht unterstützt', 'warning');
+                return;
+            }
+
+            const url = mode === 'countdown' ? 'presenter.html?mode=countdown' : 'presenter.html';
+            const presenterWindow = window.open(url, `${PRESENTER_CHANNEL}-${mode}`);
+            if (!presenterWindow) {
+                this.showNotification('Bitte Pop-ups für die Beamer-Ansicht erlauben', 'warning');
+                return;
+            }
+
+            if (mode !== 'countdown') {
+                document.getElementById('presenterControls').style.display = '';
+                this.updatePresenterControls();
+            }
+        } catch (error) {
+            this.handleError('Fehler beim Öffnen der Beamer-Ansicht', error);
+        }
+    }
+
+    /**
+     * Switch the screen of the presenter window
+     * @param {string} view - Key of PRESENTER_VIEWS
+     */
+    setPresenterView(view) {
+        if (!PRESENTER_VIEWS[view]) {
+            return;
+        }
+        if (view === 'result' && !this.currentResult) {
+            this.showNotification('Bitte führen Sie zuerst eine Berechnung durch', 'warning');
+            return;
+        }
+
+        this.presenterView = view;
+        this.updatePresenterControls();
+        this.broadcastPresenterState();
+    }
+
+    /**
+     * Highlight the control button of the current presenter screen
+     */
+    updatePresenterControls() {
+        Object.entries(PRESENTER_VIEWS).forEach(([view, { button }]) => {
+            document.getElementById(button)?.classList.toggle('active', view === this.presenterView);
+        });
+    }
+
+    /**
+     * Send the current state to the presenter window
+     */
+    broadcastPresenterState() {
+        if (!this.presenterChannel) {
+            return;
+        }
+
+        try {
+            this.presenterChannel.postMessage(this.getPresenterState());
+        } catch (error) {
+            console.warn('Beamer-Ansicht konnte nicht aktualisiert werden:', error);
+        }
+    }
+
+    /**
+     * Everything the presenter window shows
+     * The timer is sent as start time and pauses, the presenter window
+     * counts down on its own.
+     * @returns {Object} Presenter state
+     */
+    getPresenterState() {
+        const event = this.getActiveEvent();
+        const round = this.getActiveRound();
+        const name = document.getElementById('participantName')?.value.trim() || '';
+        const opponent = document.getElementById('opponentName')?.value.trim() || '';
+        const minutes = parseFloat(document.getElementById('timerMinutes')?.value);
+
+        return {
+            type: 'state',
+            view: this.presenterView,
+            event: event ? this.getEventLabel(event) : '',
+            round: round?.name || '',
+            performer: this.isBattleRound() && opponent ? `${name || 'A'} vs. ${opponent}` : name,
+            members: this.isTeamMode() ? this.getPerformingMembers() : [],
+            timer: {
+                active: this.timerActive,
+                paused: this.timerPaused,
+                startTime: this.timerStartTime,
+                pauses: this.timerPauses,
+                duration: this.timerStartTime ? this.timerDuration : (isNaN(minutes) ? 0 : Math.round(minutes * 60)),
+                remaining: this.timerStartTime ? this.timerRemaining : null,
+                warnings: this.settings.timerSignals.warnings
+            },
+            result: this.currentResult ? this.getPresenterResult() : null,
+            reveal: this.currentResult && this.revealStep !== null
+                ? { ...this.getRevealPhase(), ...REVEAL_SPEEDS[this.settings.reveal.speed] }
+                : null
+        };
+    }
+
+    /**
+     * The current result as plain text for the presenter window
+     * `count` is the number the total counts up to in the staged reveal
+     * (null when the total is not a number).
+     * @returns {{heading: string, total: string, detail: string, cards: Array<{label: string, value: string, struck: boolean}>, count: Object|null}} Result for the stage
+     */
+    getPresenterResult() {
+        const result = this.currentResult;
+
+        if (result.type === 'battle') {
+            const sideName = (pick) => pick === 'a' ? result.participantName : result.opponentName;
+            return {
+                heading: `${result.participantName} vs. ${result.opponentName}`,
+                total: this.formatBattleSplit(result),
+                detail: this.getBattleWinnerLabel(result),
+                cards: result.votes.map(vote => ({
+                    label: this.getJudgeShortLabel(vote.seat, result.judges),
+                    value: vote.scores
+                        ? `${this.formatScore(vote.scores[0], result.precision)} : ${this.formatScore(vote.scores[1], result.precision)}`
+                        : (vote.pick ? sideName(vote.pick) : 'Enthaltung'),
+                    // Enthaltungen werden wie gestrichene Wertungen markiert
+                    struck: vote.absent
+                })),
+                count: null
+            };
+        }
+
+        if (result.type === 'audience') {
+            return {
+                heading: 'Publikumswertung',
+                total: `${this.formatScore(result.tally[0].percent, 1)} %`,
+                detail: this.getAudienceWinnerLabel(result),
+                cards: result.tally.map(row => ({
+                    label: `${row.place}. ${row.name}`,
+                    value: `${this.formatScore(row.percent, 1)} %`,
+                    struck: false
+                })),
+                count: { value: result.tally[0].percent, decimals: 1, suffix: ' %' }
+            };
+        }
+
+        const cards = [
+            ...result.excludedScores.map((score, index) => ({ seat: result.excludedJudges[index], score, struck: true })),
+            ...result.includedScores.map((score, index) => ({ seat: result.includedJudges[index], score, struck: false }))
+        ].sort((a, b) => a.seat - b.seat);
+
+        return {
+            heading: result.participantName || '',
+            total: this.formatTotal(result),
+            detail: result.timePenalty > 0 ? `${this.formatTimePenalty(result)} Zeitstrafe` : '',
+            cards: cards.map(card => ({
+                label: this.getJudgeShortLabel(card.seat, result.judges),
+                value: this.formatScore(card.score, result.precision),
+                struck: card.struck
+            })),
+            count: {
+                value: result.totalScore,
+                decimals: this.getEntryPrecision(result) + this.getEntryScoringRule(result).extraDecimals,
+                suffix: ''
+            }
+        };
+    }
+
+    /**
+     * How far the staged reveal of the current result has progressed
+     * One step per card, one to strike the struck scores (if any) and a
+     * last one for the total.
+     * @param {Object} [stage=this.getPresenterResult()] - Result for the stage
+     * @returns {{cards: number, struck: boolean, total: boolean}} Revealed parts
+     */
+    getRevealPhase(stage = this.getPresenterResult()) {
+        const step = this.revealStep ?? Infinity;
+        const cardCount = stage.cards.length;
+        const strikeSteps = stage.cards.some(card => card.struck) ? 1 : 0;
+
+        return {
+            cards: Math.min(step, cardCount),
+            struck: step > cardCount,
+            total: step >= cardCount + strikeSteps + 1
+        };
+    }
+
+    /**
+     * Reveal the next part of the current result (main window and presenter)
+     */
+    advanceReveal() {
+        if (!this.currentResult || this.revealStep === null || this.getRevealPhase().total) {
+            return;
+        }
+
+        this.revealStep++;
+        this.renderReveal();
+        this.broadcastPresenterState();
+    }
+
+    /**
+     * Show the revealed part of the current result in the result card
+     * While the reveal runs, the cards appear one by one in seat order and
+     * the details stay hidden until the total is shown.
+     */
+    renderReveal() {
+        const resultCard = document.getElementById('resultCard');
+        const strip = document.getElementById('resultReveal');
+        const nextButton = document.getElementById('revealNext');
+        if (this.revealStep === null) {
+            resultCard.classList.remove('reveal-pending');
+            strip.style.display = 'none';
+            nextButton.style.display = 'none';
+            return;
+        }
+
+        const stage = this.getPresenterResult();
+        const phase = this.getRevealPhase(stage);
+        const { cardMs, countMs } = REVEAL_SPEEDS[this.settings.reveal.speed];
+        const previousCards = Math.min(this.revealStep - 1, stage.cards.length);
+
+        resultCard.classList.toggle('reveal-pending', !phase.total);
+        if (!this.currentResult.type) {
+            this.highlightStruckJudges(phase.struck ? this.currentResult.excludedJudges : []);
+        }
+        nextButton.style.display = phase.total ? 'none' : '';
+        strip.style.display = phase.total ? 'none' : 'block';
+        strip.innerHTML = stage.cards.slice(0, phase.cards).map((card, index) => `
+            <span class="score-badge ${phase.struck && card.struck ? 'bg-danger revealed-struck' : 'bg-success'}${index < previousCards ? ' revealed' : ''}" style="animation-duration: ${cardMs}ms">
+                <span class="judge-tag">${this.escapeHtml(card.label)}</span>${this.escapeHtml(card.value)}
+            </span>`).join('');
+
+        const totalScoreElement = document.getElementById('totalScore');
+        if (!phase.total) {
+            totalScoreElement.textContent = '?';
+        } else if (stage.count) {
+            this.animateCount(totalScoreElement, stage.count, countMs, stage.total);
+        } else {
+            totalScoreElement.textContent = stage.total;
+        }
+    }
+
+    /**
+     * Count a number up from zero
+     * @param {HTMLElement} element - Element showing the number
+     * @param {{value: number, decimals: number, suffix: string}} count - Target number
+     * @param {number} duration - Duration in milliseconds
+     * @param {string} finalText - Text shown at the end
+     */
+    animateCount(element, count, duration, finalText) {
+        const start = performance.now();
+        const tick = (now) => {
+            const progress = Math.min(1, (now - start) / duration);
+            if (progress < 1) {
+                // Zum Ende hin langsamer werden
+                const eased = 1 - Math.pow(1 - progress, 3);
+                element.textContent = `${this.formatScore(count.value * eased, count.decimals)}${count.suffix}`;
+                requestAnimationFrame(tick);
+            } else {
+                element.textContent = finalText;
+            }
+        };
+        requestAnimationFrame(tick);
+    }
+
     // Help Modal Functions
     showHelp() {
         try {
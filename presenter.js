@@ -0,0 +1,273 @@
+/** @type {string} BroadcastChannel shared with the calculator window */
+const PRESENTER_CHANNEL = 'poetrySlamPresenter';
+
+/** @type {Object<string, string>} Section element per screen sent by the calculator */
+const PRESENTER_SCREENS = {
+    waiting: 'presenterWaiting',
+    poet: 'presenterPoet',
+    result: 'presenterResult',
+    blank: 'presenterBlank'
+};
+
+/**
+ * Beamer-Ansicht des Poetry Slam Rechners
+ *
+ * Shows the state sent by the calculator window on a projector or stage
+ * monitor. The window has no controls of its own; everything is switched
+ * from the calculator. With `?mode=countdown` it only shows the timer for
+ * the poets on stage and never any scores.
+ */
+class PresenterDisplay {
+    constructor() {
+        /** @type {string} 'stage' for the audience, 'countdown' for the poets on stage */
+        this.mode = new URLSearchParams(window.location.search).get('mode') === 'countdown' ? 'countdown' : 'stage';
+        /** @type {BroadcastChannel|null} Channel to the calculator window */
+        this.channel = null;
+        /** @type {Object|null} Last state received from the calculator */
+        this.state = null;
+        /** @type {number|null} Timeout ID of the next timer tick */
+        this.timerTimeout = null;
+        /** @type {number} Score cards already on screen (they don't animate again) */
+        this.shownCards = 0;
+        /** @type {boolean} Whether the total of the current result is on screen */
+        this.totalShown = false;
+
+        this.init();
+    }
+
+    /**
+     * Connect to the calculator window and ask for the current state
+     */
+    init() {
+        if (this.mode === 'countdown') {
+            document.body.classList.add('presenter-countdown');
+            document.title = 'Countdown – Poetry Slam Rechner';
+        }
+
+        if (!('BroadcastChannel' in window)) {
+            document.querySelector('#presenterWaiting .presenter-hint').textContent =
+                'Die Beamer-Ansicht wird von diesem Browser nicht unterstützt';
+            return;
+        }
+
+        this.channel = new BroadcastChannel(PRESENTER_CHANNEL);
+        this.channel.onmessage = (event) => {
+            if (event.data?.type === 'state') {
+                this.render(event.data);
+            }
+        };
+        this.channel.postMessage({ type: 'hello', mode: this.mode });
+
+        document.addEventListener('dblclick', () => this.toggleFullscreen());
+        // Aufdecken auch mit Fokus auf diesem Fenster
+        document.addEventListener('keydown', (e) => {
+            if (this.mode === 'stage' && e.key.toLowerCase() === 'w') {
+                this.channel.postMessage({ type: 'revealNext' });
+            }
+        });
+    }
+
+    /**
+     * Show a state sent by the calculator
+     * @param {Object} state - Presenter state
+     */
+    render(state) {
+        this.state = state;
+        // Ohne berechnetes Ergebnis bleibt der Auftritt stehen, der Countdown zeigt nie Wertungen
+        let screen = state.view === 'result' && !state.result ? 'poet' : state.view;
+        if (this.mode === 'countdown') {
+            screen = 'poet';
+        }
+        Object.entries(PRESENTER_SCREENS).forEach(([key, id]) => {
+            document.getElementById(id).style.display = key === screen ? '' : 'none';
+        });
+
+        const blank = screen === 'blank';
+        document.getElementById('presenterEvent').textContent = blank ? '' : state.event;
+        document.getElementById('presenterRound').textContent = blank ? '' : state.round;
+
+        document.getElementById('presenterPerformer').textContent = state.performer;
+        document.getElementById('presenterMembers').textContent = state.members.join(' · ');
+        this.renderTimer();
+        this.scheduleTimerTick();
+
+        if (screen === 'result') {
+            this.renderResult(state.result, state.reveal);
+        } else {
+            // Beim nächsten Wechsel zur Wertung erscheinen die Karten neu
+            this.shownCards = 0;
+            this.totalShown = false;
+        }
+    }
+
+    /**
+     * Show the score cards and the total
+     * During a staged reveal only the revealed cards are shown, struck
+     * scores are marked once the strike step is reached and the total counts up.
+     * @param {{heading: string, total: string, detail: string, cards: Array<{label: string, value: string, struck: boolean}>, count: Object|null}} result - Result sent by the calculator
+     * @param {{cards: number, struck: boolean, total: boolean, cardMs: number, countMs: number}|null} reveal - Reveal progress (null shows everything)
+     */
+    renderResult(result, reveal) {
+        const shownCards = reveal ? reveal.cards : result.cards.length;
+        const showStruck = !reveal || reveal.struck;
+        const showTotal = !reveal || reveal.total;
+
+        document.getElementById('presenterResultHeading').textContent = result.heading;
+        document.getElementById('presenterResultDetail').textContent = showTotal ? result.detail : '';
+
+        const total = document.getElementById('presenterTotal');
+        if (!showTotal) {
+            total.textContent = '';
+        } else if (reveal && !this.totalShown && result.count) {
+            this.animateCount(total, result.count, reveal.countMs, result.total);
+        } else {
+            total.textContent = result.total;
+        }
+
+        const cards = document.getElementById('presenterCards');
+        cards.innerHTML = '';
+        result.cards.slice(0, shownCards).forEach((card, index) => {
+            const element = document.createElement('div');
+            element.className = `presenter-card${card.struck && showStruck ? ' struck' : ''}${index < this.shownCards ? ' shown' : ''}`;
+            if (reveal) {
+                element.style.animationDuration = `${reveal.cardMs}ms`;
+            }
+
+            const label = document.createElement('div');
+            label.className = 'presenter-card-label';
+            label.textContent = card.label;
+            const value = document.createElement('div');
+            value.className = 'presenter-card-value';
+            value.textContent = card.value;
+
+            element.append(label, value);
+            cards.appendChild(element);
+        });
+
+        this.shownCards = shownCards;
+        this.totalShown = showTotal;
+    }
+
+    /**
+     * Count the total up from zero
+     * @param {HTMLElement} element - Element showing the total
+     * @param {{value: number, decimals: number, suffix: string}} count - Target number
+     * @param {number} duration - Duration in milliseconds
+     * @param {string} finalText - Text shown at the end
+     */
+    animateCount(element, count, duration, finalText) {
+        const start = performance.now();
+        const tick = (now) => {
+            const progress = Math.min(1, (now - start) / duration);
+            if (progress < 1) {
+                const eased = 1 - Math.pow(1 - progress, 3);
+                element.textContent = `${(count.value * eased).toFixed(count.decimals).replace('.', ',')}${count.suffix}`;
+                requestAnimationFrame(tick);
+            } else {
+                element.textContent = finalText;
+            }
+        };
+        requestAnimationFrame(tick);
+    }
+
+    /**
+     * Elapsed performance time without pauses (same rule as the calculator)
+     * @param {Object} timer - Timer state sent by the calculator
+     * @param {number} [now=Date.now()] - Reference timestamp
+     * @returns {number} Elapsed milliseconds
+     */
+    getElapsedMs(timer, now = Date.now()) {
+        if (!timer.startTime) {
+            return 0;
+        }
+
+        const pausedMs = timer.pauses.reduce((sum, pause) => sum + ((pause.end ?? now) - pause.start), 0);
+        return Math.max(0, now - timer.startTime - pausedMs);
+    }
+
+    /**
+     * Remaining seconds of the timer (negative in overtime)
+     * @param {Object} timer - Timer state sent by the calculator
+     * @returns {number} Remaining seconds
+     */
+    getRemainingSeconds(timer) {
+        if (timer.active) {
+            return timer.duration - Math.floor(this.getElapsedMs(timer) / 1000);
+        }
+        return timer.remaining ?? timer.duration;
+    }
+
+    /**
+     * Update the timer display and its warning state
+     */
+    renderTimer() {
+        const timer = this.state?.timer;
+        const display = document.getElementById('presenterTimer');
+        if (!timer || !timer.duration) {
+            display.textContent = '';
+            return;
+        }
+
+        const remaining = this.getRemainingSeconds(timer);
+        // Der zuletzt erreichte Warnpunkt bestimmt die Farbe (wie im Rechner)
+        const reached = timer.warnings
+            .filter(point => remaining >= 0 && remaining <= point.seconds)
+            .sort((a, b) => a.seconds - b.seconds);
+        const level = reached[0]?.level;
+        const absoluteSeconds = Math.abs(remaining);
+        const minutes = Math.floor(absoluteSeconds / 60).toString().padStart(2, '0');
+        const seconds = (absoluteSeconds % 60).toString().padStart(2, '0');
+        display.textContent = `${remaining < 0 ? '-' : ''}${minutes}:${seconds}`;
+
+        const stateClasses = {
+            paused: timer.paused,
+            'timer-overtime': remaining < 0,
+            warning: level === 'warning',
+            danger: level === 'danger'
+        };
+        Object.entries(stateClasses).forEach(([className, active]) => {
+            display.classList.toggle(className, active);
+            // Auf der Bühne färbt sich der ganze Bildschirm
+            if (this.mode === 'countdown') {
+                document.body.classList.toggle(className, active);
+            }
+        });
+    }
+
+    /**
+     * Tick at the next full second while the timer runs
+     */
+    scheduleTimerTick() {
+        clearTimeout(this.timerTimeout);
+        this.timerTimeout = null;
+
+        const timer = this.state?.timer;
+        if (!timer || !timer.active || timer.paused) {
+            return;
+        }
+
+        const delay = 1000 - (this.getElapsedMs(timer) % 1000) + 10;
+        this.timerTimeout = setTimeout(() => {
+            this.renderTimer();
+            this.scheduleTimerTick();
+        }, delay);
+    }
+
+    /**
+     * Enter or leave fullscreen (needs a click in this window)
+     */
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen?.().catch(() => {
+                // Vollbild abgelehnt, das Fenster bleibt wie es ist
+            });
+        }
+        document.getElementById('presenterFullscreenHint').style.display = 'none';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.presenter = new PresenterDisplay();
+});
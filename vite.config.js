@@ -65,12 +65,34 @@ export default defineConfig({
           fileName: 'app.js',
           source: require('fs').readFileSync('app.js')
         });
+        this.emitFile({
+          type: 'asset',
+          fileName: 'presenter.html',
+          source: require('fs').readFileSync('presenter.html')
+        });
+        this.emitFile({
+          type: 'asset',
+          fileName: 'presenter.js',
+          source: require('fs').readFileSync('presenter.js')
+        });
         this.emitFile({
           type: 'asset',
           fileName: 'styles.css',
           source: require('fs').readFileSync('styles.css')
         });
         
+        // Kopiere Timer-Sounds
+        this.emitFile({
+          type: 'asset',
+          fileName: 'assets/sounds/gong.wav',
+          source: require('fs').readFileSync('assets/sounds/gong.wav')
+        });
+        this.emitFile({
+          type: 'asset',
+          fileName: 'assets/sounds/bell.wav',
+          source: require('fs').readFileSync('assets/sounds/bell.wav')
+        });
+        
         // Kopiere PWA Icons
         this.emitFile({
           type: 'asset',
@@ -102,7 +124,7 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2,wav}'],
         globDirectory: 'dist',
         cleanupOutdatedCaches: true,
         skipWaiting: true,